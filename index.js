@@ -1,14 +1,153 @@
 'use strict';
 
 const BbPromise = require('bluebird');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const readline = require('readline');
+
+const EDGE_REGION = 'us-east-1';
+const REPLICA_WAIT_INITIAL_DELAY = 30 * 1000;
+const REPLICA_WAIT_MAX_DELAY = 10 * 60 * 1000;
+const REPLICA_WAIT_TIMEOUT = 2 * 60 * 60 * 1000;
+const FUNCTION_UPDATE_DELAY = 2 * 1000;
+const FUNCTION_UPDATE_TIMEOUT = 10 * 60 * 1000;
+const IMAGE_MIN_AGE = 24 * 60 * 60 * 1000;
+const RETRY_ERROR_CODES = ['TooManyRequestsException', 'ResourceConflictException', 'ThrottlingException'];
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30 * 1000;
+const RETRY_MAX_ATTEMPTS = 8;
+const PAGINATION_TOKENS = {
+  Lambda: { request: 'Marker', response: 'NextMarker' },
+  CloudFormation: { request: 'NextToken', response: 'NextToken' },
+  S3: { request: 'ContinuationToken', response: 'NextContinuationToken' },
+  CloudWatchLogs: { request: 'nextToken', response: 'nextToken' },
+  StepFunctions: { request: 'nextToken', response: 'nextToken' },
+  ECR: { request: 'nextToken', response: 'nextToken' }
+};
+const GB = 1024 * 1024 * 1024;
+const ACCOUNT_CODE_SIZE_LIMIT = 75 * GB;
+const PLAN_FIELDS = {
+  functions: ['CodeSha256', 'LastModified'],
+  layers: ['CreatedDate']
+};
+const TYPE_LABELS = {
+  functions: 'function',
+  layers: 'layer',
+  stateMachines: 'state machine'
+};
+const RESTORED_FUNCTION_FIELDS = ['Description', 'Handler', 'Runtime', 'MemorySize', 'Timeout', 'Role', 'KMSKeyArn',
+  'TracingConfig', 'DeadLetterConfig', 'EphemeralStorage'];
+
+//numbers may also arrive as strings from resolved variables
+const INTEGER_SCHEMA = { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^\\d+$' }] };
+const DECIMAL_SCHEMA = { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string', pattern: '^\\d+(\\.\\d+)?$' }] };
+const PATTERN_LIST_SCHEMA = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] };
+const PRUNE_SETTINGS_SCHEMA = {
+  number: INTEGER_SCHEMA,
+  keepDays: DECIMAL_SCHEMA,
+  minAgeHours: DECIMAL_SCHEMA,
+  keepRollbackDeployments: INTEGER_SCHEMA,
+  maxAccountStorage: DECIMAL_SCHEMA,
+  maxServiceStorage: DECIMAL_SCHEMA,
+  concurrency: { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: '^[1-9]\\d*$' }] },
+  automatic: { type: 'boolean' },
+  includeLayers: { type: 'boolean' },
+  includeStateMachines: { type: 'boolean' },
+  images: { type: 'boolean' },
+  logStreams: { type: 'boolean' },
+  archive: { type: 'string' },
+  continueOnError: { type: 'boolean' },
+  failOnError: { type: 'boolean' },
+  exclude: {
+    type: 'array',
+    items: {
+      anyOf: [
+        { type: 'string' },
+        { type: 'object', properties: { tags: { type: 'object' } }, required: ['tags'], additionalProperties: false }
+      ]
+    }
+  },
+  protect: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { description: { type: 'string' }, runtime: { type: 'string' } },
+      anyOf: [{ required: ['description'] }, { required: ['runtime'] }],
+      additionalProperties: false
+    }
+  },
+  aliases: {
+    type: 'object',
+    properties: { names: PATTERN_LIST_SCHEMA, keep: PATTERN_LIST_SCHEMA, maxAgeDays: DECIMAL_SCHEMA },
+    additionalProperties: false
+  }
+};
+const TARGET_PRUNE_SCHEMA = {
+  type: 'object',
+  properties: { number: INTEGER_SCHEMA, automatic: { type: 'boolean' }, exclude: { type: 'boolean' } },
+  additionalProperties: false
+};
+const SCOPED_SETTINGS_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'object', properties: PRUNE_SETTINGS_SCHEMA, additionalProperties: false }
+};
+const CUSTOM_SCHEMA = {
+  type: 'object',
+  properties: {
+    prune: {
+      type: 'object',
+      properties: Object.assign({
+        stages: SCOPED_SETTINGS_SCHEMA,
+        regions: SCOPED_SETTINGS_SCHEMA,
+        layers: { type: 'object', additionalProperties: TARGET_PRUNE_SCHEMA }
+      }, PRUNE_SETTINGS_SCHEMA),
+      additionalProperties: false
+    }
+  }
+};
+const TARGET_SCHEMA = {
+  type: 'object',
+  properties: { prune: TARGET_PRUNE_SCHEMA }
+};
+//command line options are validated against the same patterns as custom.prune
+const NUMERIC_OPTIONS = {
+  number: { pattern: /^\d+$/, description: 'a whole number' },
+  keepDays: { pattern: /^\d+(\.\d+)?$/, description: 'a non-negative number' },
+  minAgeHours: { pattern: /^\d+(\.\d+)?$/, description: 'a non-negative number' },
+  keepRollbackDeployments: { pattern: /^\d+$/, description: 'a whole number' },
+  maxAccountStorage: { pattern: /^\d+(\.\d+)?$/, description: 'a non-negative number' },
+  maxServiceStorage: { pattern: /^\d+(\.\d+)?$/, description: 'a non-negative number' },
+  concurrency: { pattern: /^[1-9]\d*$/, description: 'a whole number of at least 1' }
+};
 
 class Prune {
-  constructor(serverless, options, { log, progress } = {}) {
+  constructor(serverless, options, { log, progress, writeText } = {}) {
     this.serverless = serverless;
     this.options = options || {};
     this.provider = this.serverless.getProvider('aws');
     this.log = log || serverless.cli.log.bind(serverless.cli);
     this.progress = progress;
+    this.writeText = writeText || console.log;
+    this.edgeFunctions = [];
+    this.replicatedVersions = [];
+    this.awaitingReplicas = [];
+    this.report = { functions: [], layers: [], stateMachines: [] };
+    this.pruningPlan = { functions: [], layers: [] };
+    this.targetReports = [];
+    this.requestQueue = [];
+    this.activeRequests = 0;
+    this.confirmDeletion = false;
+    this.target = null;
+
+    //older framework versions have no schema handler and skip validation
+    const schemaHandler = this.serverless.configSchemaHandler;
+    if (schemaHandler && typeof schemaHandler.defineCustomProperties === 'function') {
+      schemaHandler.defineCustomProperties(CUSTOM_SCHEMA);
+    }
+    if (schemaHandler && typeof schemaHandler.defineFunctionProperties === 'function') {
+      schemaHandler.defineFunctionProperties('aws', TARGET_SCHEMA);
+    }
 
     this.pluginCustom = this.loadCustom(this.serverless.service.custom);
 
@@ -18,9 +157,34 @@ class Prune {
         lifecycleEvents: ['prune'],
         options: {
           number: {
-            usage: 'Number of previous versions to keep',
+            usage: 'Number of previous versions to keep. Required unless --apply is used',
             shortcut: 'n',
-            required: true,
+            required: false,
+            type: 'string'
+          },
+          keepDays: {
+            usage: 'Number of days for which all versions are kept, regardless of number',
+            required: false,
+            type: 'string'
+          },
+          minAgeHours: {
+            usage: 'Minimum age in hours of a version before it may be deleted',
+            required: false,
+            type: 'string'
+          },
+          keepRollbackDeployments: {
+            usage: 'Number of recent deployments whose function and layer versions are kept for rollback',
+            required: false,
+            type: 'string'
+          },
+          maxAccountStorage: {
+            usage: 'Prune the oldest versions until the account code storage is below the given size in GB. Number is then the minimum number of versions kept',
+            required: false,
+            type: 'string'
+          },
+          maxServiceStorage: {
+            usage: 'Prune the oldest versions until the code storage of the service is below the given size in GB. Number is then the minimum number of versions kept',
+            required: false,
             type: 'string'
           },
           stage: {
@@ -33,6 +197,16 @@ class Prune {
             shortcut: 'r',
             type: 'string'
           },
+          stages: {
+            usage: 'Comma-separated list of stages to prune, or "all" for every stage under custom.prune.stages',
+            required: false,
+            type: 'string'
+          },
+          regions: {
+            usage: 'Comma-separated list of regions to prune, or "all" for every region under custom.prune.regions',
+            required: false,
+            type: 'string'
+          },
           function: {
             usage: 'Function name. Limits cleanup to the specified function',
             shortcut: 'f',
@@ -51,40 +225,402 @@ class Prune {
             required: false,
             type: 'boolean'
           },
+          includeStateMachines: {
+            usage: 'Boolean flag. Includes the pruning of Step Functions state machine versions.',
+            required: false,
+            type: 'boolean'
+          },
+          concurrency: {
+            usage: 'Maximum number of concurrent Lambda requests while listing and deleting versions (default 1)',
+            required: false,
+            type: 'string'
+          },
+          continueOnError: {
+            usage: 'Boolean flag. Continue pruning other versions, functions and layers after a failure',
+            required: false,
+            type: 'boolean'
+          },
+          failOnError: {
+            usage: 'Boolean flag. Exit with an error if any failure occurred while pruning with continueOnError',
+            required: false,
+            type: 'boolean'
+          },
+          waitForReplicas: {
+            usage: 'Boolean flag. Wait for Lambda@Edge replicas to be removed and retry deletion of replicated function versions',
+            required: false,
+            type: 'boolean'
+          },
+          yes: {
+            usage: 'Boolean flag. Skip the confirmation prompt before deleting versions',
+            shortcut: 'y',
+            required: false,
+            type: 'boolean'
+          },
+          force: {
+            usage: 'Boolean flag. Alias of --yes',
+            required: false,
+            type: 'boolean'
+          },
           dryRun: {
             usage: 'Simulate pruning without executing delete actions. Deletion candidates are logged when used in conjunction with --verbose',
             shortcut: 'd',
             required: false,
             type: 'boolean'
           },
+          archive: {
+            usage: 'Archive the code and configuration of each version to a directory or "s3://bucket/prefix" before deleting it',
+            required: false,
+            type: 'string'
+          },
+          plan: {
+            usage: 'Write the deletion candidates to the specified plan file for review, without deleting them',
+            required: false,
+            type: 'string'
+          },
+          apply: {
+            usage: 'Delete exactly the versions in the specified plan file, if they still match the plan',
+            required: false,
+            type: 'string'
+          },
+          output: {
+            usage: 'Output format of the pruning report. Only "json" is supported',
+            required: false,
+            type: 'string'
+          },
+          outputFile: {
+            usage: 'Write the JSON pruning report to the specified file',
+            required: false,
+            type: 'string'
+          },
           verbose: {
             usage: 'Enable detailed output during plugin execution',
             required: false,
             type: 'boolean'
           }
+        },
+        commands: {
+          account: {
+            usage: 'Clean up functions in the account, including those outside serverless.yml, matched by name or tags. Dry-run unless --execute is set.',
+            lifecycleEvents: ['prune'],
+            options: {
+              number: {
+                usage: 'Number of previous versions to keep',
+                shortcut: 'n',
+                required: true,
+                type: 'string'
+              },
+              name: {
+                usage: 'Function name glob (e.g. "my-service-dev-*") or regular expression between slashes (e.g. "/^my-service-/")',
+                required: false,
+                type: 'string'
+              },
+              tag: {
+                usage: 'Comma-separated list of KEY=VALUE tags that functions must have (e.g. "STAGE=dev,SERVICE=foo")',
+                required: false,
+                type: 'string'
+              },
+              execute: {
+                usage: 'Boolean flag. Perform the delete actions, rather than a dry-run',
+                required: false,
+                type: 'boolean'
+              },
+              keepDays: {
+                usage: 'Number of days for which all versions are kept, regardless of number',
+                required: false,
+                type: 'string'
+              },
+              minAgeHours: {
+                usage: 'Minimum age in hours of a version before it may be deleted',
+                required: false,
+                type: 'string'
+              },
+              stage: {
+                usage: 'Stage of the service',
+                shortcut: 's',
+                type: 'string'
+              },
+              region: {
+                usage: 'Region of the functions',
+                shortcut: 'r',
+                type: 'string'
+              },
+              concurrency: {
+                usage: 'Maximum number of concurrent Lambda requests while listing and deleting versions (default 1)',
+                required: false,
+                type: 'string'
+              },
+              continueOnError: {
+                usage: 'Boolean flag. Continue pruning other versions and functions after a failure',
+                required: false,
+                type: 'boolean'
+              },
+              output: {
+                usage: 'Output format of the pruning report. Only "json" is supported',
+                required: false,
+                type: 'string'
+              },
+              outputFile: {
+                usage: 'Write the JSON pruning report to the specified file',
+                required: false,
+                type: 'string'
+              },
+              verbose: {
+                usage: 'Enable detailed output during plugin execution',
+                required: false,
+                type: 'boolean'
+              }
+            }
+          },
+          report: {
+            usage: 'Show version counts and code storage of the deployed functions and layers, without deleting anything.',
+            lifecycleEvents: ['report'],
+            options: {
+              number: {
+                usage: 'Number of previous versions to keep when estimating reclaimable storage',
+                shortcut: 'n',
+                required: false,
+                type: 'string'
+              },
+              keepDays: {
+                usage: 'Number of days for which all versions are kept, regardless of number',
+                required: false,
+                type: 'string'
+              },
+              minAgeHours: {
+                usage: 'Minimum age in hours of a version before it may be deleted',
+                required: false,
+                type: 'string'
+              },
+              stage: {
+                usage: 'Stage of the service',
+                shortcut: 's',
+                type: 'string'
+              },
+              region: {
+                usage: 'Region of the service',
+                shortcut: 'r',
+                type: 'string'
+              },
+              function: {
+                usage: 'Function name. Limits the report to the specified function',
+                shortcut: 'f',
+                required: false,
+                type: 'string'
+              },
+              layer: {
+                usage: 'Layer name. Limits the report to the specified Lambda layer',
+                shortcut: 'l',
+                required: false,
+                type: 'string'
+              },
+              concurrency: {
+                usage: 'Maximum number of concurrent Lambda requests while listing versions (default 1)',
+                required: false,
+                type: 'string'
+              },
+              output: {
+                usage: 'Output format of the storage report. Only "json" is supported',
+                required: false,
+                type: 'string'
+              },
+              outputFile: {
+                usage: 'Write the JSON storage report to the specified file',
+                required: false,
+                type: 'string'
+              },
+              verbose: {
+                usage: 'Enable detailed output during plugin execution',
+                required: false,
+                type: 'boolean'
+              }
+            }
+          },
+          restore: {
+            usage: 'Republish an archived function or layer version as a new version.',
+            lifecycleEvents: ['restore'],
+            options: {
+              archive: {
+                usage: 'Directory or "s3://bucket/prefix" the version was archived to',
+                required: true,
+                type: 'string'
+              },
+              function: {
+                usage: 'Name of the function to restore',
+                shortcut: 'f',
+                required: false,
+                type: 'string'
+              },
+              layer: {
+                usage: 'Name of the layer to restore',
+                shortcut: 'l',
+                required: false,
+                type: 'string'
+              },
+              qualifier: {
+                usage: 'Archived version to restore',
+                shortcut: 'q',
+                required: true,
+                type: 'string'
+              },
+              stage: {
+                usage: 'Stage of the service',
+                shortcut: 's',
+                type: 'string'
+              },
+              region: {
+                usage: 'Region of the service',
+                shortcut: 'r',
+                type: 'string'
+              },
+              verbose: {
+                usage: 'Enable detailed output during plugin execution',
+                required: false,
+                type: 'boolean'
+              }
+            }
+          }
         }
       },
     };
 
     this.hooks = {
       'prune:prune': this.cliPrune.bind(this),
+      'prune:account:prune': this.accountPrune.bind(this),
+      'prune:report:report': this.cliReport.bind(this),
+      'prune:restore:restore': this.cliRestore.bind(this),
       'after:deploy:deploy': this.postDeploy.bind(this)
     };
   }
 
-  getNumber() {
+  getStage() {
+    return this.target ? this.target.stage : this.provider.getStage();
+  }
+
+  getRegion() {
+    return this.target ? this.target.region : this.provider.getRegion();
+  }
+
+  getNumber(targetCustom) {
+    if (targetCustom && targetCustom.number != null) return targetCustom.number;
     return this.options.number || this.pluginCustom.number;
   }
 
+  getKeepDays() {
+    return this.options.keepDays != null ? parseFloat(this.options.keepDays) : this.pluginCustom.keepDays;
+  }
+
+  getMinAgeHours() {
+    return this.options.minAgeHours != null ? parseFloat(this.options.minAgeHours) : this.pluginCustom.minAgeHours;
+  }
+
+  getKeepRollbackDeployments() {
+    return this.options.keepRollbackDeployments != null ? parseInt(this.options.keepRollbackDeployments) : this.pluginCustom.keepRollbackDeployments;
+  }
+
+  getMaxAccountStorage() {
+    return this.options.maxAccountStorage != null ? parseFloat(this.options.maxAccountStorage) : this.pluginCustom.maxAccountStorage;
+  }
+
+  getMaxServiceStorage() {
+    return this.options.maxServiceStorage != null ? parseFloat(this.options.maxServiceStorage) : this.pluginCustom.maxServiceStorage;
+  }
+
+  getStorageTarget() {
+    const account = this.getMaxAccountStorage();
+    const service = this.getMaxServiceStorage();
+    if (account == null && service == null) {
+      return null;
+    }
+
+    return {
+      account: account != null ? account * GB : undefined,
+      service: service != null ? service * GB : undefined
+    };
+  }
+
+  getConcurrency() {
+    const concurrency = this.options.concurrency != null ? parseInt(this.options.concurrency) : this.pluginCustom.concurrency;
+    return concurrency >= 1 ? concurrency : 1;
+  }
+
+  getIncludeStateMachines() {
+    return !!(this.options.includeStateMachines || this.pluginCustom.includeStateMachines);
+  }
+
+  getContinueOnError() {
+    return !!(this.options.continueOnError || this.pluginCustom.continueOnError);
+  }
+
+  getFailOnError() {
+    return !!(this.options.failOnError || this.pluginCustom.failOnError);
+  }
+
   loadCustom(custom) {
     const pluginCustom = {};
     if (custom && custom.prune) {
+      custom = { prune: this.resolveScopedCustom(custom.prune) };
 
       if (custom.prune.number != null) {
         const number = parseInt(custom.prune.number);
         if (!isNaN(number)) pluginCustom.number = number;
       }
 
+      if (custom.prune.keepDays != null) {
+        const keepDays = parseFloat(custom.prune.keepDays);
+        if (!isNaN(keepDays)) pluginCustom.keepDays = keepDays;
+      }
+
+      if (custom.prune.minAgeHours != null) {
+        const minAgeHours = parseFloat(custom.prune.minAgeHours);
+        if (!isNaN(minAgeHours)) pluginCustom.minAgeHours = minAgeHours;
+      }
+
+      if (custom.prune.keepRollbackDeployments != null) {
+        const keepRollbackDeployments = parseInt(custom.prune.keepRollbackDeployments);
+        if (!isNaN(keepRollbackDeployments)) pluginCustom.keepRollbackDeployments = keepRollbackDeployments;
+      }
+
+      if (custom.prune.maxAccountStorage != null) {
+        const maxAccountStorage = parseFloat(custom.prune.maxAccountStorage);
+        if (!isNaN(maxAccountStorage)) pluginCustom.maxAccountStorage = maxAccountStorage;
+      }
+
+      if (custom.prune.maxServiceStorage != null) {
+        const maxServiceStorage = parseFloat(custom.prune.maxServiceStorage);
+        if (!isNaN(maxServiceStorage)) pluginCustom.maxServiceStorage = maxServiceStorage;
+      }
+
+      if (custom.prune.aliases && typeof custom.prune.aliases === 'object') {
+        const toList = value => [].concat(value || []).filter(pattern => typeof pattern === 'string');
+        const maxAgeDays = parseFloat(custom.prune.aliases.maxAgeDays);
+        pluginCustom.aliases = {
+          names: toList(custom.prune.aliases.names),
+          keep: toList(custom.prune.aliases.keep),
+          maxAgeDays: isNaN(maxAgeDays) ? undefined : maxAgeDays
+        };
+      }
+
+      if (custom.prune.layers && typeof custom.prune.layers === 'object') {
+        pluginCustom.layers = custom.prune.layers;
+      }
+
+      if (typeof custom.prune.images === 'boolean') {
+        pluginCustom.images = custom.prune.images;
+      }
+
+      if (typeof custom.prune.logStreams === 'boolean') {
+        pluginCustom.logStreams = custom.prune.logStreams;
+      }
+
+      if (typeof custom.prune.archive === 'string') {
+        pluginCustom.archive = custom.prune.archive;
+      }
+
+      if (custom.prune.concurrency != null) {
+        const concurrency = parseInt(custom.prune.concurrency);
+        if (!isNaN(concurrency)) pluginCustom.concurrency = concurrency;
+      }
+
       if (typeof custom.prune.automatic === 'boolean') {
         pluginCustom.automatic = custom.prune.automatic;
       }
@@ -92,195 +628,1607 @@ class Prune {
       if (typeof custom.prune.includeLayers === 'boolean') {
         pluginCustom.includeLayers = custom.prune.includeLayers;
       }
+
+      if (typeof custom.prune.includeStateMachines === 'boolean') {
+        pluginCustom.includeStateMachines = custom.prune.includeStateMachines;
+      }
+
+      if (Array.isArray(custom.prune.exclude)) {
+        pluginCustom.exclude = custom.prune.exclude.filter(rule => typeof rule === 'string');
+        pluginCustom.excludeTags = custom.prune.exclude
+          .filter(rule => rule && typeof rule.tags === 'object')
+          .map(rule => rule.tags);
+      }
+
+      if (Array.isArray(custom.prune.protect)) {
+        pluginCustom.protect = custom.prune.protect.filter(rule => rule && (rule.description || rule.runtime));
+      }
+
+      if (typeof custom.prune.continueOnError === 'boolean') {
+        pluginCustom.continueOnError = custom.prune.continueOnError;
+      }
+
+      if (typeof custom.prune.failOnError === 'boolean') {
+        pluginCustom.failOnError = custom.prune.failOnError;
+      }
     }
 
     return pluginCustom;
   }
 
-  cliPrune() {
-    if (this.options.dryRun) {
-      this.logNotice('Dry-run enabled, no pruning actions will be performed.');
-    }
+  resolveScopedCustom(prune) {
+    const stage = prune.stages ? prune.stages[this.getStage()] : undefined;
+    const region = prune.regions ? prune.regions[this.getRegion()] : undefined;
 
-    if(this.options.includeLayers) {
-      return BbPromise.all([
-        this.pruneFunctions(),
-        this.pruneLayers()
-      ]);
-    }
+    return Object.assign({}, prune, stage, region);
+  }
 
-    if (this.options.layer && !this.options.function) {
-      return this.pruneLayers();
-    } else {
-      return this.pruneFunctions();
+  loadTargetCustom(target) {
+    const targetCustom = {};
+    if (target && target.prune) {
+
+      if (target.prune.number != null) {
+        const number = parseInt(target.prune.number);
+        if (!isNaN(number)) targetCustom.number = number;
+      }
+
+      if (typeof target.prune.automatic === 'boolean') {
+        targetCustom.automatic = target.prune.automatic;
+      }
+
+      if (typeof target.prune.exclude === 'boolean') {
+        targetCustom.exclude = target.prune.exclude;
+      }
     }
+
+    return targetCustom;
   }
 
-  postDeploy() {
-    this.pluginCustom = this.loadCustom(this.serverless.service.custom);
+  cliPrune() {
+    this.validateOutput();
+    this.validateOptions();
 
-    if (this.options.noDeploy === true) {
-      return BbPromise.resolve();
+    const deploymentTargets = this.getDeploymentTargets();
+    if ((this.options.plan || this.options.apply) && deploymentTargets) {
+      throw new this.serverless.classes.Error('--plan and --apply prune a single stage and region, and cannot be combined with --stages or --regions.');
     }
 
-    if (this.pluginCustom.automatic &&
-      this.pluginCustom.number !== undefined && this.pluginCustom.number >= 0) {
+    if (this.options.apply) {
+      return this.completeRun(this.applyPlan(this.options.apply));
+    }
 
-      if(this.pluginCustom.includeLayers) {
-        return BbPromise.all([
-          this.pruneFunctions(),
-          this.pruneLayers()
-        ]);
-      }
+    if (this.getNumber() == null) {
+      throw new this.serverless.classes.Error('Missing required option --number (-n).');
+    }
 
-      return this.pruneFunctions();
-    } else {
-      return BbPromise.resolve();
+    if (this.options.plan) {
+      //planning never deletes, the plan is applied in a separate run
+      this.options.dryRun = true;
     }
-  }
 
-  pruneLayers() {
-    const selectedLayers = this.options.layer ? [this.options.layer] : this.serverless.service.getAllLayers();
-    const layerNames = selectedLayers.map(key => this.serverless.service.getLayer(key).name || key);
+    if (this.options.dryRun) {
+      this.logNotice('Dry-run enabled, no pruning actions will be performed.');
+    }
 
-    this.createProgress(
-      'prune-plugin-prune-layers',
-      'Pruning layer versions'
-    );
+    //manual runs in a terminal review the deletions before they happen
+    this.confirmDeletion = !this.options.dryRun && !this.options.yes && !this.options.force && this.isInteractive();
 
-    return BbPromise.mapSeries(layerNames, layerName => {
+    return this.completeRun(BbPromise.resolve()
+      .then(() => {
+        if (deploymentTargets) {
+          return BbPromise.mapSeries(deploymentTargets, target => this.pruneDeploymentTarget(target));
+        } else {
+          return this.pruneService();
+        }
+      })
+      .then(() => this.writePlan(this.options.plan)));
+  }
 
-      return BbPromise.join(
-        this.listVersionsForLayer(layerName),
-        (versions) => ({ name: layerName, versions: versions })
-      );
+  accountPrune() {
+    this.validateOutput();
+    this.validateOptions();
 
-    }).each(({ name, versions }) => {
-      if (!versions.length) {
-        return BbPromise.resolve();
-      }
+    if (!this.options.name && !this.options.tag) {
+      throw new this.serverless.classes.Error('At least one of --name or --tag is required to select functions in the account.');
+    }
 
-      const deletionCandidates = this.selectPruneVersionsForLayer(versions);
-      if (deletionCandidates.length > 0) {
-        this.updateProgress('prune-plugin-prune-layers', `Pruning layer versions (${name})`);
-      }
+    const nameMatcher = this.createNameMatcher(this.options.name);
+    const tags = this.parseTags(this.options.tag);
 
-      if (this.options.dryRun) {
-        this.printPruningCandidates(name, deletionCandidates);
-        return BbPromise.resolve();
-      } else {
-        return this.deleteVersionsForLayer(name, deletionCandidates);
-      }
-    }).then(() => {
-      this.clearProgress('prune-plugin-prune-layers');
-      this.logSuccess('Pruning of layers complete');
-    });
-  }
+    if (!this.options.execute) {
+      this.options.dryRun = true;
+      this.logNotice('Dry-run enabled, no pruning actions will be performed. Use --execute to delete versions.');
+    }
 
-  pruneFunctions() {
-    const selectedFunctions = this.options.function ? [this.options.function] : this.serverless.service.getAllFunctions();
-    const functionNames = selectedFunctions.map(key => this.serverless.service.getFunction(key).name);
+    return this.completeRun(this.listAccountFunctionTargets(nameMatcher, tags)
+      .then(functions => {
+        if (functions.length === 0) {
+          this.logNotice('No functions in the account matched the given name or tags.');
+          return BbPromise.resolve();
+        }
 
-    this.createProgress(
-      'prune-plugin-prune-functions',
-      'Pruning function versions'
-    );
+        this.logInfo(`Matched functions: ${functions.map(f => f.name).join(', ')}.`);
+        return this.pruneFunctions(false, functions);
+      }));
+  }
 
-    return BbPromise.mapSeries(functionNames, functionName => {
+  cliReport() {
+    this.validateOutput();
+    this.validateOptions();
 
-      return BbPromise.join(
-        this.listVersionForFunction(functionName),
-        this.listAliasesForFunction(functionName),
-        (versions, aliases) => ( { name: functionName, versions: versions, aliases: aliases } )
-      );
+    const functions = this.getFunctionTargets();
+    const layers = this.options.function ? [] : this.getLayerTargets();
+    this.edgeFunctions = functions.filter(t => t.edge).map(t => t.name);
 
-    }).each(({ name, versions, aliases }) => {
-      if (!versions.length) {
-        return BbPromise.resolve();
-      }
+    return BbPromise.join(
+      BbPromise.map(functions, target => this.getFunctionStorage(target), { concurrency: this.getConcurrency() }),
+      BbPromise.map(layers, target => this.getLayerStorage(target), { concurrency: this.getConcurrency() }),
+      this.requestLambda('getAccountSettings', {}),
+      (functionStorage, layerStorage, settings) => {
+        const account = {
+          totalCodeSize: settings.AccountUsage.TotalCodeSize,
+          codeSizeLimit: settings.AccountLimit.TotalCodeSize || ACCOUNT_CODE_SIZE_LIMIT
+        };
 
-      const deletionCandidates = this.selectPruneVersionsForFunction(versions, aliases);
-      if (deletionCandidates.length > 0) {
-        this.updateProgress('prune-plugin-prune-functions', `Pruning function versions (${name})`);
-      }
+        if (this.options.output === 'json' || this.options.outputFile) {
+          this.writeJson({
+            stage: this.getStage(),
+            region: this.getRegion(),
+            functions: functionStorage,
+            layers: layerStorage,
+            account
+          }, 'Storage report');
+          return;
+        }
 
-      if (this.options.dryRun) {
-        this.printPruningCandidates(name, deletionCandidates);
-        return BbPromise.resolve();
-      } else {
-        return this.deleteVersionsForFunction(name, deletionCandidates);
+        const row = type => s => [type, s.name, s.versions, s.oldest || '-', s.newest || '-', this.formatSize(s.codeSize),
+          s.reclaimable != null ? this.formatSize(s.reclaimable) : '-'];
+        this.formatTable(['Type', 'Name', 'Versions', 'Oldest', 'Newest', 'Code size', 'Reclaimable'],
+          functionStorage.map(row('function')).concat(layerStorage.map(row('layer'))))
+          .forEach(line => this.writeText(line));
+
+        const usage = (100 * account.totalCodeSize / account.codeSizeLimit).toFixed(1);
+        this.writeText(`Account code storage: ${this.formatSize(account.totalCodeSize)} of ${this.formatSize(account.codeSizeLimit)} (${usage}%)`);
       }
-    }).then(() => {
-      this.clearProgress('prune-plugin-prune-functions');
-      this.logSuccess('Pruning of functions complete');
-    });
+    );
   }
 
-  deleteVersionsForLayer(layerName, versions) {
-    return BbPromise.each(versions, version => {
-      this.logInfo(`Deleting layer version ${layerName}:${version}.`);
+  getFunctionStorage(target) {
+    const { name, custom } = target;
 
-      const params = {
-        LayerName: layerName,
-        VersionNumber: version
-      };
+    return this.listVersionForFunction(name).then(versions => {
+      const published = versions.filter(f => f.Version !== '$LATEST');
+      const storage = this.getStorageSummary(name, published, versions, f => f.LastModified);
 
-      return BbPromise.resolve()
-        .then(() => this.provider.request('Lambda', 'deleteLayerVersion', params))
-        .catch(e => {
-          throw e;
-        });
+      //reclaimable storage is only known with a retention config
+      if (!published.length || this.getNumber(custom) == null || !this.isTargetSelected('function', target)) {
+        return storage;
+      }
+
+      return BbPromise.join(
+        this.listAliasesForFunction(name),
+        this.listProtectedVersionsForFunction(name, versions),
+        (aliases, protectedVersions) => {
+          const candidates = this.selectPruneVersionsForFunction(versions, aliases, this.getNumber(custom), protectedVersions);
+          return Object.assign(storage, { reclaimable: this.sumCodeSize(published.filter(f => candidates.indexOf(f.Version) > -1)) });
+        }
+      );
     });
   }
 
-  deleteVersionsForFunction(functionName, versions) {
-    return BbPromise.each(versions, version => {
-      this.logInfo(`Deleting function version ${functionName}:${version}.`);
+  getLayerStorage(target) {
+    const { name, custom } = target;
 
-      const params = {
-        FunctionName: functionName,
-        Qualifier: version
-      };
+    return this.listVersionsForLayer(name)
+      .then(versions => this.listLayerVersionSizes(name, versions))
+      .then(versions => {
+        const storage = this.getStorageSummary(name, versions, versions, v => v.CreatedDate);
 
-      return BbPromise.resolve()
-        .then(() => this.provider.request('Lambda', 'deleteFunction', params))
-        .catch(e => {
-          //ignore if trying to delete replicated lambda edge function
-          if (e.providerError && e.providerError.statusCode === 400
-            && e.providerError.message.startsWith('Lambda was unable to delete')
-            && e.providerError.message.indexOf('because it is a replicated function.') > -1) {
-            this.logWarning(`Unable to delete replicated Lambda@Edge function version ${functionName}:${version}.`);
-          } else {
-            throw e;
-          }
+        if (!versions.length || this.getNumber(custom) == null || !this.isTargetSelected('layer', target)) {
+          return storage;
+        }
+
+        return this.listProtectedVersionsForLayer(name).then(protectedVersions => {
+          const candidates = this.selectPruneVersionsForLayer(versions, this.getNumber(custom), protectedVersions);
+          return Object.assign(storage, { reclaimable: this.sumCodeSize(versions.filter(v => candidates.indexOf(v.Version) > -1)) });
         });
-    });
+      });
   }
 
-  listAliasesForFunction(functionName) {
-    const params = {
-      FunctionName: functionName
+  listLayerVersionSizes(layerName, versions) {
+    //layer version listings do not include the code size
+    return BbPromise.map(versions, v => {
+      return this.requestLambda('getLayerVersion', { LayerName: layerName, VersionNumber: v.Version })
+        .then(response => Object.assign({ CodeSize: response.Content.CodeSize }, v));
+    }, { concurrency: this.getConcurrency() });
+  }
+
+  getStorageSummary(name, published, versions, getDate) {
+    const sorted = published.slice().sort((a, b) => parseInt(a.Version) - parseInt(b.Version));
+    const describe = v => v && `${v.Version} (${String(getDate(v)).slice(0, 10)})`;
+
+    return {
+      name,
+      versions: published.length,
+      oldest: describe(sorted[0]) || null,
+      newest: describe(sorted[sorted.length - 1]) || null,
+      codeSize: this.sumCodeSize(versions),
+      reclaimable: null
     };
+  }
 
-    return this.makeLambdaRequest('listAliases', params, r => r.Aliases)
-      .catch(e => {
-        //ignore if function not deployed
-        if (e.providerError && e.providerError.statusCode === 404) return [];
-        else throw e;
-      });
+  sumCodeSize(versions) {
+    return versions.reduce((acc, v) => acc + (v.CodeSize || 0), 0);
   }
 
-  listVersionForFunction(functionName) {
-    const params = {
-      FunctionName: functionName
-    };
+  formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
 
-    return this.makeLambdaRequest('listVersionsByFunction', params, r => r.Versions)
-      .catch(e => {
-        //ignore if function not deployed
-        if (e.providerError && e.providerError.statusCode === 404) return [];
-        else throw e;
-      });
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+  }
+
+  validateOutput() {
+    if (this.options.output != null && this.options.output !== 'json') {
+      throw new this.serverless.classes.Error(`Unsupported output format "${this.options.output}", only "json" is supported.`);
+    }
+  }
+
+  validateOptions() {
+    Object.keys(NUMERIC_OPTIONS).forEach(option => {
+      const value = this.options[option];
+      if (value != null && !NUMERIC_OPTIONS[option].pattern.test(String(value))) {
+        throw new this.serverless.classes.Error(`Invalid value "${value}" for --${option}, expected ${NUMERIC_OPTIONS[option].description}.`);
+      }
+    });
+  }
+
+  completeRun(pruning) {
+    return BbPromise.resolve(pruning)
+      .then(() => this.reportFailures())
+      .then(() => this.writeReport(), e => {
+        this.writeReport();
+        throw e;
+      });
+  }
+
+  createNameMatcher(pattern) {
+    if (!pattern) {
+      return () => true;
+    }
+
+    const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+      const expression = new RegExp(regex[1], regex[2]);
+      return name => expression.test(name);
+    }
+
+    const glob = new RegExp('^' + pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$');
+    return name => glob.test(name);
+  }
+
+  parseTags(value) {
+    return (value || '').split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag.length > 0)
+      .map(tag => {
+        const index = tag.indexOf('=');
+        return index > -1
+          ? { key: tag.slice(0, index), value: tag.slice(index + 1) }
+          : { key: tag };
+      });
+  }
+
+  listAccountFunctionTargets(nameMatcher, tags) {
+    return this.makeLambdaRequest('listFunctions', {}, r => r.Functions)
+      .then(functions => functions.filter(f => nameMatcher(f.FunctionName)))
+      .then(functions => {
+        if (tags.length === 0) {
+          return functions;
+        }
+
+        return BbPromise.filter(functions, f => {
+          return this.requestLambda('listTags', { Resource: f.FunctionArn })
+            .then(response => tags.every(({ key, value }) => {
+              const functionTags = response.Tags || {};
+              return value === undefined ? key in functionTags : functionTags[key] === value;
+            }));
+        }, { concurrency: this.getConcurrency() });
+      })
+      .then(functions => functions.map(f => ({ name: f.FunctionName, custom: {}, edge: false })));
+  }
+
+  pruneService() {
+    const pruneStateMachines = this.getIncludeStateMachines() && !this.options.function && !this.options.layer;
+
+    return BbPromise.resolve(this.pruneFunctionsAndLayers())
+      .then(() => pruneStateMachines ? this.pruneStateMachines() : null);
+  }
+
+  pruneFunctionsAndLayers() {
+    if (this.getStorageTarget()) {
+      const layersOnly = !!this.options.layer && !this.options.function;
+      return this.pruneStorage(false, {
+        functions: !!this.options.includeLayers || !layersOnly,
+        layers: !!this.options.includeLayers || layersOnly
+      });
+    }
+
+    if(this.options.includeLayers) {
+      //in sequence, so that confirmation prompts do not interleave
+      return this.pruneFunctions().then(() => this.pruneLayers());
+    }
+
+    if (this.options.layer && !this.options.function) {
+      return this.pruneLayers();
+    } else {
+      return this.pruneFunctions();
+    }
+  }
+
+  getDeploymentTargets() {
+    if (!this.options.stages && !this.options.regions) {
+      return null;
+    }
+
+    const stages = this.parseDeploymentTargetList(this.options.stages, 'stages') || [this.getStage()];
+    const regions = this.parseDeploymentTargetList(this.options.regions, 'regions') || [this.getRegion()];
+
+    return stages.reduce((acc, stage) => acc.concat(regions.map(region => ({ stage, region }))), []);
+  }
+
+  parseDeploymentTargetList(value, section) {
+    if (!value) {
+      return null;
+    }
+
+    if (value === 'all') {
+      const custom = this.serverless.service.custom;
+      const configured = Object.keys((custom && custom.prune && custom.prune[section]) || {});
+      if (configured.length === 0) {
+        throw new this.serverless.classes.Error(`No ${section} configured under custom.prune.${section} to prune with "all".`);
+      }
+      return configured;
+    }
+
+    return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+  }
+
+  pruneDeploymentTarget({ stage, region }) {
+    const previous = { target: this.target, pluginCustom: this.pluginCustom };
+    if (!this.baseStage) {
+      this.baseStage = this.provider.getStage();
+    }
+
+    //the provider stays on the deployed stage and region, requests are directed at the target instead
+    this.target = { stage, region };
+    this.resetRunState();
+    this.pluginCustom = this.loadCustom(this.serverless.service.custom);
+    this.targetReports.push(Object.assign({ stage, region }, this.report));
+
+    const targetReport = this.targetReports[this.targetReports.length - 1];
+    const skip = reason => {
+      this.logWarning(`Skipping stage ${stage} in region ${region}, ${reason}.`);
+      targetReport.skipped = reason;
+    };
+
+    //versions referenced by the stack are only protected if the stack is found
+    const stackName = this.getStackName();
+
+    return BbPromise.resolve()
+      .then(() => {
+        if (!stackName) {
+          return skip('the custom stack name cannot be resolved for other stages');
+        }
+
+        this.logNotice(`Pruning stage ${stage} in region ${region}.`);
+        return this.requirePermission('cloudformation:DescribeStacks', this.requestWithRetry('CloudFormation', 'describeStacks', { StackName: stackName }))
+          .then(() => this.pruneService(), e => {
+            if (!e.message || e.message.indexOf('does not exist') === -1) throw e;
+            skip(`its stack ${stackName} does not exist`);
+          });
+      })
+      .finally(() => {
+        this.target = previous.target;
+        this.pluginCustom = previous.pluginCustom;
+      });
+  }
+
+  resetRunState() {
+    this.report = { functions: [], layers: [], stateMachines: [] };
+    this.pruningPlan = { functions: [], layers: [] };
+    this.eventSourceMappings = undefined;
+    this.stackVersionReferences = undefined;
+    this.rollbackReferences = undefined;
+    this.rollbackLayerVersions = undefined;
+    this.functionLayerVersions = undefined;
+  }
+
+  resolveStageName(type, key, name) {
+    //resolved names embed the deployed stage, other stages are only known for the default naming
+    const stage = this.getStage();
+    if (!this.baseStage || this.baseStage === stage) {
+      return name;
+    }
+
+    const service = this.serverless.service.service;
+    if (name === `${service}-${this.baseStage}-${key}`) {
+      return `${service}-${stage}-${key}`;
+    }
+
+    //layers are named after their key by default, which is shared by all stages
+    if (type === 'layer' && name === key) {
+      return name;
+    }
+
+    return null;
+  }
+
+  getStackName() {
+    if (!this.target || this.getStage() === this.baseStage) {
+      return this.provider.naming.getStackName();
+    }
+
+    //a custom stack name is only known for the deployed stage
+    if (this.serverless.service.provider && this.serverless.service.provider.stackName) {
+      return null;
+    }
+
+    return `${this.serverless.service.service}-${this.getStage()}`;
+  }
+
+  getDeploymentBucketName() {
+    const deploymentBucket = this.serverless.service.provider && this.serverless.service.provider.deploymentBucket;
+    if (!this.target || deploymentBucket) {
+      return BbPromise.resolve(this.provider.getServerlessDeploymentBucketName());
+    }
+
+    return this.requestWithRetry('CloudFormation', 'describeStackResource', {
+      StackName: this.getStackName(),
+      LogicalResourceId: 'ServerlessDeploymentBucket'
+    }).then(response => response.StackResourceDetail.PhysicalResourceId);
+  }
+
+  postDeploy() {
+    this.pluginCustom = this.loadCustom(this.serverless.service.custom);
+
+    if (this.options.noDeploy === true) {
+      return BbPromise.resolve();
+    }
+
+    const serviceAutomatic = this.pluginCustom.automatic &&
+      this.pluginCustom.number !== undefined && this.pluginCustom.number >= 0;
+    const optedIn = targets => targets.some(t => t.custom.automatic === true);
+
+    const pruneFunctions = serviceAutomatic || optedIn(this.getFunctionTargets());
+    const pruneLayers = (serviceAutomatic && this.pluginCustom.includeLayers) || optedIn(this.getLayerTargets());
+    const pruneStateMachines = serviceAutomatic && this.getIncludeStateMachines();
+
+    if (!pruneFunctions && !pruneLayers && !pruneStateMachines) {
+      return BbPromise.resolve();
+    }
+
+    const pruning = this.getStorageTarget()
+      ? this.pruneStorage(true, { functions: pruneFunctions, layers: pruneLayers })
+      : BbPromise.all([
+        pruneFunctions ? this.pruneFunctions(true) : null,
+        pruneLayers ? this.pruneLayers(true) : null
+      ]);
+
+    return pruning
+      .then(() => pruneStateMachines ? this.pruneStateMachines(true) : null)
+      .then(() => this.reportFailures());
+  }
+
+  getFunctionTargets() {
+    const selectedFunctions = this.options.function ? [this.options.function] : this.serverless.service.getAllFunctions();
+    return selectedFunctions.map(key => {
+      const func = this.serverless.service.getFunction(key);
+      return { key, name: this.resolveStageName('function', key, func.name), custom: this.loadTargetCustom(func), edge: this.isEdgeFunction(func) };
+    }).filter(target => this.isTargetResolved('function', target));
+  }
+
+  getLayerTargets() {
+    const selectedLayers = this.options.layer ? [this.options.layer] : this.serverless.service.getAllLayers();
+    return selectedLayers.map(key => {
+      const layer = this.serverless.service.getLayer(key);
+      //the framework schema has no room for plugin settings on layers, so they are configured under custom.prune.layers
+      const settings = Object.assign({}, layer.prune, (this.pluginCustom.layers || {})[key]);
+      return { key, name: this.resolveStageName('layer', key, layer.name || key), custom: this.loadTargetCustom({ prune: settings }) };
+    }).filter(target => this.isTargetResolved('layer', target));
+  }
+
+  isTargetResolved(type, { key, name }) {
+    if (name == null) {
+      this.logWarning(`Skipping ${type} ${key} in stage ${this.getStage()}, its custom name cannot be resolved for other stages.`);
+    }
+
+    return name != null;
+  }
+
+  isEdgeFunction(func) {
+    return !!func.lambdaAtEdge || (func.events || []).some(e => e && e.cloudFront);
+  }
+
+  isTargetSelected(type, { key, name, custom }, automatic, defaultAutomatic) {
+    const excludeRule = (this.pluginCustom.exclude || [])
+      .find(rule => [key, name].some(n => n && this.createNameMatcher(rule)(n)));
+
+    if (custom.exclude || excludeRule) {
+      this.logInfo(`Skipping ${type} ${name}, excluded from pruning.`);
+      this.getReportEntry(`${type}s`, name).skipped.push({ reason: excludeRule ? `excluded by rule ${excludeRule}` : 'excluded' });
+      return false;
+    }
+
+    if (automatic) {
+      const targetAutomatic = custom.automatic != null ? custom.automatic : defaultAutomatic;
+      const number = this.getNumber(custom);
+      return !!targetAutomatic && number !== undefined && number >= 0;
+    }
+
+    return true;
+  }
+
+  pruneLayers(automatic) {
+    this.createProgress(
+      'prune-plugin-prune-layers',
+      'Pruning layer versions'
+    );
+
+    return this.planLayers(automatic).then(plans => this.executePlans('layers', plans));
+  }
+
+  pruneFunctions(automatic, functionTargets) {
+    this.createProgress(
+      'prune-plugin-prune-functions',
+      'Pruning function versions'
+    );
+
+    return this.planFunctions(automatic, functionTargets)
+      .then(plans => this.executeFunctionPlans(plans, !functionTargets))
+      .finally(() => this.saveReplicatedVersions());
+  }
+
+  pruneStorage(automatic, { functions, layers }) {
+    if (functions) this.createProgress('prune-plugin-prune-functions', 'Pruning function versions');
+    if (layers) this.createProgress('prune-plugin-prune-layers', 'Pruning layer versions');
+
+    return BbPromise.join(
+      functions ? this.planFunctions(automatic) : [],
+      layers ? this.planLayers(automatic) : [],
+      (functionPlans, layerPlans) => this.limitToStorageTarget(functionPlans, layerPlans)
+        .then(() => functions && this.executeFunctionPlans(functionPlans, true))
+        .then(() => layers && this.executePlans('layers', layerPlans))
+    ).finally(() => this.saveReplicatedVersions());
+  }
+
+  executeFunctionPlans(plans, includeImages) {
+    //images are selected up front so that the confirmation covers them
+    return BbPromise.resolve(includeImages ? this.planImages(plans) : null)
+      .then(images => this.executePlans('functions', plans, images)
+        .then(confirmed => this.waitForReplicaDeletion()
+          .then(() => confirmed && images ? this.pruneImages(images) : null)));
+  }
+
+  pruneStateMachines(automatic) {
+    this.createProgress(
+      'prune-plugin-prune-stateMachines',
+      'Pruning state machine versions'
+    );
+
+    return this.planStateMachines(automatic).then(plans => this.executePlans('stateMachines', plans));
+  }
+
+  planStateMachines(automatic) {
+    const defaultAutomatic = this.pluginCustom.automatic && this.getIncludeStateMachines();
+
+    return this.listStateMachineTargets().then(targets => BbPromise.map(
+      targets.filter(target => this.isTargetSelected('stateMachine', target, automatic, defaultAutomatic)),
+      ({ name, arn }) => {
+        return BbPromise.join(
+          this.listStateMachineVersions(arn),
+          this.listStateMachineAliases(arn),
+          (versions, aliases) => {
+            if (!versions.length) {
+              return null;
+            }
+
+            const evaluatedVersions = this.evaluateStateMachineVersions(versions, aliases, this.getNumber());
+            return { name, arn, versions, protectedVersions: {}, evaluatedVersions };
+          }
+        ).catch(e => this.handlePruneError('stateMachines', name, null, e));
+      },
+      { concurrency: this.getConcurrency() }
+    ).filter(plan => !!plan));
+  }
+
+  planLayers(automatic) {
+    const defaultAutomatic = this.pluginCustom.automatic && this.pluginCustom.includeLayers;
+    const layers = this.getLayerTargets()
+      .filter(target => this.isTargetSelected('layer', target, automatic, defaultAutomatic));
+
+    return BbPromise.map(layers, ({ name, custom }) => {
+
+      return BbPromise.join(
+        this.listVersionsForLayer(name)
+          .then(versions => this.getStorageTarget() ? this.listLayerVersionSizes(name, versions) : versions),
+        this.listProtectedVersionsForLayer(name),
+        (versions, protectedVersions) => ({ name, custom, versions, protectedVersions })
+      ).catch(e => this.handlePruneError('layers', name, null, e));
+
+    }, { concurrency: this.getConcurrency() }).filter(layer => !!layer).map(({ name, custom, versions, protectedVersions }) => {
+      if (!versions.length) {
+        return null;
+      }
+
+      const evaluatedVersions = this.evaluateLayerVersions(versions, this.getNumber(custom), protectedVersions);
+      return { name, versions, protectedVersions, evaluatedVersions };
+    }).filter(plan => !!plan);
+  }
+
+  planFunctions(automatic, functionTargets) {
+    const functions = (functionTargets || this.getFunctionTargets())
+      .filter(target => this.isTargetSelected('function', target, automatic, this.pluginCustom.automatic));
+
+    this.edgeFunctions = functions.filter(t => t.edge).map(t => t.name);
+    if (this.edgeFunctions.length > 0 && this.getRegion() !== EDGE_REGION) {
+      this.logNotice(`Lambda@Edge functions are pruned in ${EDGE_REGION}: ${this.edgeFunctions.join(', ')}.`);
+    }
+
+    return this.loadReplicatedVersions().then(pending => {
+      //versions still pending deletion of their replicas are kept in the state until their function is pruned
+      this.replicatedVersions = pending;
+
+      return BbPromise.map(functions, ({ name, custom }) => {
+
+        return this.isFunctionExcludedByTags(name).then(excluded => {
+          if (excluded) return null;
+
+          return this.listVersionForFunction(name).then(versions => BbPromise.join(
+            this.listAliasesForFunction(name),
+            this.listProtectedVersionsForFunction(name, versions),
+            (aliases, protectedVersions) => ( { name, custom, versions, aliases, protectedVersions } )
+          ));
+        }).catch(e => this.handlePruneError('functions', name, null, e));
+
+      }, { concurrency: this.getConcurrency() });
+    }).filter(func => !!func).map(({ name, custom, versions, aliases, protectedVersions }) => {
+      if (!versions.length) {
+        return null;
+      }
+
+      //stale aliases no longer keep their versions, they are deleted first
+      const staleAliases = this.selectStaleAliases(aliases, versions);
+      const activeAliases = aliases.filter(a => staleAliases.indexOf(a) === -1);
+
+      const shiftingAlias = activeAliases.find(a => this.getAliasWeightedVersions(a).length > 0);
+      if (automatic && shiftingAlias) {
+        this.logWarning(`Skipping automatic pruning of ${name}, alias ${shiftingAlias.Name} is shifting traffic between versions.`);
+        this.getReportEntry('functions', name).skipped.push({ reason: `alias ${shiftingAlias.Name} is shifting traffic` });
+        return null;
+      }
+
+      //pending versions were already confirmed for deletion, only aliases and protections can still keep them
+      const pending = this.replicatedVersions.filter(p => p.functionName === name).map(p => p.version);
+      const isPending = v => pending.indexOf(v.Version) > -1;
+      const evaluatedVersions = this.evaluateFunctionVersions(versions.filter(v => !isPending(v)), activeAliases, this.getNumber(custom), protectedVersions)
+        .concat(this.evaluateFunctionVersions(versions.filter(isPending), activeAliases, 0, protectedVersions));
+      return { name, versions, protectedVersions, evaluatedVersions, staleAliases };
+    }).filter(plan => !!plan);
+  }
+
+  executePlans(type, plans, images) {
+    const label = TYPE_LABELS[type];
+    const progressName = `prune-plugin-prune-${type}`;
+
+    const pending = this.options.dryRun ? [] : plans;
+
+    return BbPromise.mapSeries(plans, plan => {
+      plan.deletionCandidates = this.recordEvaluation(type, plan.name, plan.evaluatedVersions);
+      this.recordPlan(type, plan.name, plan.versions, plan.deletionCandidates, plan.staleAliases);
+
+      if (this.options.dryRun) {
+        this.printStaleAliases(plan.name, plan.staleAliases || []);
+        this.printProtectedVersions(plan.name, plan.versions, plan.protectedVersions);
+        this.printPruningCandidates(plan.name, plan.deletionCandidates);
+        return type === 'functions' && this.pruneLogStreams(plan.name, plan.deletionCandidates);
+      }
+    }).then(() => this.confirmPruning(type, pending, progressName, images)).then(confirmed => {
+      if (!confirmed) {
+        this.logNotice(`Pruning of ${label}s cancelled.`);
+        return false;
+      }
+
+      return BbPromise.map(pending, plan => {
+        if (plan.deletionCandidates.length > 0) {
+          this.updateProgress(progressName, `Pruning ${label} versions (${plan.name})`);
+        }
+
+        return this.deletePlannedVersions(type, plan);
+      }, { concurrency: this.getConcurrency() }).then(() => {
+        this.clearProgress(progressName);
+        this.logSuccess(`Pruning of ${label}s complete`);
+        return true;
+      });
+    });
+  }
+
+  deletePlannedVersions(type, { name, arn, deletionCandidates, staleAliases }) {
+    if (type === 'functions') {
+      //pending versions are part of the plan, those still replicated are recorded again
+      this.replicatedVersions = this.replicatedVersions.filter(p => p.functionName !== name);
+      return this.deleteAliases(name, staleAliases, deletionCandidates)
+        .then(versions => this.deleteVersionsForFunction(name, versions));
+    } else if (type === 'stateMachines') {
+      return this.deleteVersionsForStateMachine(name, arn, deletionCandidates);
+    }
+
+    return this.deleteVersionsForLayer(name, deletionCandidates);
+  }
+
+  limitToStorageTarget(functionPlans, layerPlans) {
+    const { account, service } = this.getStorageTarget();
+    const plans = functionPlans.map(plan => ({ plan, getDate: f => f.LastModified }))
+      .concat(layerPlans.map(plan => ({ plan, getDate: v => v.CreatedDate })));
+    const serviceUsage = plans.reduce((acc, { plan }) => acc + this.sumCodeSize(plan.versions), 0);
+
+    return BbPromise.resolve(account != null ? this.requestLambda('getAccountSettings', {}) : null).then(settings => {
+      const excess = Math.max(
+        account != null ? settings.AccountUsage.TotalCodeSize - account : 0,
+        service != null ? serviceUsage - service : 0
+      );
+
+      //the oldest candidates across functions and layers are pruned first
+      const candidates = plans
+        .reduce((acc, { plan, getDate }) => acc.concat(plan.evaluatedVersions
+          .filter(v => v.reasons.length === 0)
+          .map(evaluated => {
+            const version = plan.versions.find(v => v.Version === evaluated.version);
+            return { evaluated, size: version.CodeSize || 0, date: Date.parse(getDate(version)) || 0 };
+          })), [])
+        .sort((a, b) => a.date - b.date);
+
+      let reclaimed = 0;
+      let selected = 0;
+      candidates.forEach(candidate => {
+        if (reclaimed < excess) {
+          reclaimed += candidate.size;
+          selected++;
+        } else {
+          candidate.evaluated.reasons.push('storage target');
+        }
+      });
+
+      if (excess > 0) {
+        this.logNotice(`Code storage exceeds the target by ${this.formatSize(excess)}, pruning ${selected} version(s) to reclaim ${this.formatSize(reclaimed)}.`);
+      } else {
+        this.logNotice('Code storage is within the target, no versions will be pruned.');
+      }
+    });
+  }
+
+  deleteVersionsForLayer(layerName, versions) {
+    return BbPromise.map(versions, version => {
+      this.logInfo(`Deleting layer version ${layerName}:${version}.`);
+
+      const params = {
+        LayerName: layerName,
+        VersionNumber: version
+      };
+
+      return BbPromise.resolve()
+        .then(() => this.archiveLayerVersion(layerName, version))
+        .then(() => this.requestLambda('deleteLayerVersion', params))
+        .then(() => this.getReportEntry('layers', layerName).deleted.push('' + version))
+        .catch(e => this.handlePruneError('layers', layerName, version, e));
+    }, { concurrency: this.getConcurrency() });
+  }
+
+  deleteVersionsForFunction(functionName, versions) {
+    return BbPromise.map(versions, version => {
+      this.logInfo(`Deleting function version ${functionName}:${version}.`);
+
+      return this.archiveFunctionVersion(functionName, version)
+        .then(() => this.deleteFunctionVersion(functionName, version))
+        .catch(e => {
+          if (!this.isReplicatedFunctionError(e)) throw e;
+
+          if (this.options.waitForReplicas) {
+            //replicas are awaited together once all versions have been attempted
+            this.awaitingReplicas.push({ functionName, version: '' + version });
+          } else {
+            this.logWarning(`Unable to delete replicated Lambda@Edge function version ${functionName}:${version}, deletion will be retried on the next run.`);
+            this.recordReplicatedVersion(functionName, version);
+          }
+        })
+        .catch(e => this.handlePruneError('functions', functionName, version, e));
+    }, { concurrency: this.getConcurrency() }).then(() => {
+      const deleted = this.getReportEntry('functions', functionName).deleted;
+      return this.pruneLogStreams(functionName, versions.filter(version => deleted.indexOf('' + version) > -1));
+    });
+  }
+
+  pruneLogStreams(functionName, versions) {
+    //Lambda@Edge functions log to the regions they run in, under another group name
+    if (!this.pluginCustom.logStreams || versions.length === 0 || this.getFunctionRegion(functionName)) {
+      return BbPromise.resolve();
+    }
+
+    const logGroupName = `/aws/lambda/${functionName}`;
+    return this.listLogStreamsForVersions(logGroupName, versions).then(logStreamNames => {
+      if (this.options.dryRun) {
+        logStreamNames.forEach(logStreamName => this.logInfo(`${logGroupName}:${logStreamName} selected for deletion.`));
+        return;
+      }
+
+      return BbPromise.map(logStreamNames, logStreamName => {
+        this.logInfo(`Deleting log stream ${logGroupName}:${logStreamName}.`);
+        return this.requestWithRetry('CloudWatchLogs', 'deleteLogStream', { logGroupName, logStreamName });
+      }, { concurrency: this.getConcurrency() });
+    }).catch(e => {
+      //ignore if the function never logged
+      if ((e.providerError || e).code === 'ResourceNotFoundException') return;
+      return this.handlePruneError('functions', functionName, null, e);
+    });
+  }
+
+  listLogStreamsForVersions(logGroupName, versions) {
+    //stream names are prefixed with the date and the version, e.g. 2024/01/31/[42]
+    const pruned = versions.map(version => '' + version);
+    const belongsToPrunedVersion = logStreamName => {
+      const match = /^\d{4}\/\d{2}\/\d{2}\/\[([^\]]+)\]/.exec(logStreamName);
+      return !!match && pruned.indexOf(match[1]) > -1;
+    };
+
+    return this.paginate('CloudWatchLogs', 'describeLogStreams', { logGroupName }, r => r.logStreams)
+      .then(streams => streams.map(s => s.logStreamName).filter(belongsToPrunedVersion));
+  }
+
+  planImages(functionPlans) {
+    if (!this.pluginCustom.images) {
+      return BbPromise.resolve(null);
+    }
+
+    //all image-based functions of the service share the repository, regardless of the selected functions
+    const functionNames = this.serverless.service.getAllFunctions()
+      .map(key => ({ key, func: this.serverless.service.getFunction(key) }))
+      .filter(({ func }) => func.image)
+      .map(({ key, func }) => this.resolveStageName('function', key, func.name));
+    if (functionNames.length === 0) {
+      return BbPromise.resolve(null);
+    }
+
+    //an unknown function could still use any of the images
+    if (functionNames.indexOf(null) > -1) {
+      this.logWarning(`Skipping pruning of images in stage ${this.getStage()}, the custom names of image-based functions cannot be resolved for other stages.`);
+      return BbPromise.resolve(null);
+    }
+
+    const removed = {};
+    functionPlans.forEach(plan => {
+      removed[plan.name] = plan.evaluatedVersions.filter(v => v.reasons.length === 0).map(v => '' + v.version);
+    });
+
+    const repositoryName = this.getEcrRepositoryName();
+    return this.listUnusedImages(repositoryName, functionNames, removed)
+      .then(digests => ({ repositoryName, functionNames, digests }))
+      .catch(e => {
+        //ignore if no image was ever pushed
+        if ((e.providerError || e).code !== 'RepositoryNotFoundException') {
+          this.handlePruneError('functions', repositoryName, null, e);
+        }
+        return null;
+      });
+  }
+
+  pruneImages({ repositoryName, functionNames, digests }) {
+    if (this.options.dryRun) {
+      digests.forEach(digest => this.logInfo(`${repositoryName}@${digest} selected for deletion.`));
+      return BbPromise.resolve();
+    }
+
+    if (digests.length === 0) {
+      return BbPromise.resolve();
+    }
+
+    //versions which failed to delete still use their images
+    return this.listUnusedImages(repositoryName, functionNames)
+      .then(unused => digests.filter(digest => unused.indexOf(digest) > -1))
+      .catch(e => {
+        this.handlePruneError('functions', repositoryName, null, e);
+        return [];
+      })
+      .then(unused => {
+        //batches are limited to 100 images
+        const batches = [];
+        for (let i = 0; i < unused.length; i += 100) {
+          batches.push(unused.slice(i, i + 100));
+        }
+
+        return BbPromise.mapSeries(batches, batch => {
+          this.logInfo(`Deleting ${batch.length} image(s) from ${repositoryName}.`);
+          return this.requestWithRetry('ECR', 'batchDeleteImage', { repositoryName, imageIds: batch.map(imageDigest => ({ imageDigest })) })
+            .then(response => (response.failures || []).forEach(f => {
+              this.handlePruneError('functions', repositoryName, f.imageId && f.imageId.imageDigest, new Error(f.failureReason || f.failureCode));
+            }), e => this.handlePruneError('functions', repositoryName, null, e));
+        });
+      });
+  }
+
+  listUnusedImages(repositoryName, functionNames, removed) {
+    return BbPromise.join(
+      this.listImageReferences(functionNames, removed),
+      this.listImages(repositoryName),
+      (references, images) => images
+        .filter(image => references.indexOf(image.imageDigest.replace(/^sha256:/, '')) === -1)
+        //tagged images are still wanted, recent ones may belong to a deployment in progress
+        .filter(image => !(image.imageTags && image.imageTags.length > 0))
+        .filter(image => Date.now() - Date.parse(image.imagePushedAt) >= IMAGE_MIN_AGE && !this.isRetainedByAge(image.imagePushedAt))
+        .map(image => image.imageDigest)
+    );
+  }
+
+  getEcrRepositoryName() {
+    if (!this.target && this.provider.naming.getEcrRepositoryName) {
+      return this.provider.naming.getEcrRepositoryName();
+    }
+
+    return `serverless-${this.serverless.service.service}-${this.getStage()}`.toLowerCase();
+  }
+
+  listImageReferences(functionNames, removed = {}) {
+    //image digests of $LATEST and the versions which remain after pruning
+    return BbPromise.map(functionNames, name => this.listVersionForFunction(name).then(versions => {
+      const candidates = removed[name] || [];
+      return versions.filter(v => candidates.indexOf(v.Version) === -1).map(v => v.CodeSha256);
+    }), { concurrency: this.getConcurrency() }).then(references => [].concat(...references));
+  }
+
+  listImages(repositoryName) {
+    return this.paginate('ECR', 'describeImages', { repositoryName }, r => r.imageDetails);
+  }
+
+  deleteFunctionVersion(functionName, version, region) {
+    const params = {
+      FunctionName: functionName,
+      Qualifier: version
+    };
+
+    return BbPromise.resolve()
+      .then(() => this.requestLambda('deleteFunction', params, region))
+      .then(() => this.getReportEntry('functions', functionName).deleted.push('' + version));
+  }
+
+  getArchive() {
+    return this.options.archive || this.pluginCustom.archive;
+  }
+
+  archiveFunctionVersion(functionName, version) {
+    if (!this.getArchive()) {
+      return BbPromise.resolve();
+    }
+
+    const key = `functions/${functionName}/${version}`;
+    return this.requestLambda('getFunction', { FunctionName: functionName, Qualifier: version }).then(response => {
+      //image-based functions have no code package, their image is referenced by its digest, as tags move with later deployments
+      const image = response.Code.ResolvedImageUri ? { ResolvedImageUri: response.Code.ResolvedImageUri } : {};
+      const configuration = Object.assign({}, response.Configuration, image);
+
+      return BbPromise.resolve(response.Code.Location && this.downloadCode(response.Code.Location)
+        .then(code => this.writeArchiveFile(`${key}/code.zip`, code)))
+        .then(() => this.writeArchiveFile(`${key}/configuration.json`, JSON.stringify(configuration, null, 2)));
+    }).then(() => this.logInfo(`Archived function version ${functionName}:${version}.`));
+  }
+
+  archiveLayerVersion(layerName, version) {
+    if (!this.getArchive()) {
+      return BbPromise.resolve();
+    }
+
+    const key = `layers/${layerName}/${version}`;
+    return this.requestLambda('getLayerVersion', { LayerName: layerName, VersionNumber: version }).then(response => {
+      //the download location is a short-lived URL, and is not kept
+      const configuration = Object.assign({}, response, { Content: Object.assign({}, response.Content, { Location: undefined }) });
+
+      return this.downloadCode(response.Content.Location)
+        .then(code => this.writeArchiveFile(`${key}/code.zip`, code))
+        .then(() => this.writeArchiveFile(`${key}/configuration.json`, JSON.stringify(configuration, null, 2)));
+    }).then(() => this.logInfo(`Archived layer version ${layerName}:${version}.`));
+  }
+
+  downloadCode(location) {
+    return new BbPromise((resolve, reject) => {
+      https.get(location, response => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`Unable to download code package, status ${response.statusCode}`));
+        }
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+      }).on('error', reject);
+    });
+  }
+
+  parseArchiveLocation(key) {
+    const archive = this.getArchive();
+    const s3 = /^s3:\/\/([^/]+)\/?(.*)$/.exec(archive);
+    if (s3) {
+      const prefix = s3[2].replace(/\/+$/, '');
+      return { bucket: s3[1], key: prefix ? `${prefix}/${key}` : key };
+    }
+
+    return { file: path.resolve(this.serverless.config.servicePath, archive, key) };
+  }
+
+  writeArchiveFile(key, body) {
+    const location = this.parseArchiveLocation(key);
+    if (location.bucket) {
+      return this.requestWithRetry('S3', 'putObject', { Bucket: location.bucket, Key: location.key, Body: body });
+    }
+
+    fs.mkdirSync(path.dirname(location.file), { recursive: true });
+    fs.writeFileSync(location.file, body);
+    return BbPromise.resolve();
+  }
+
+  readArchiveFile(key) {
+    const location = this.parseArchiveLocation(key);
+    if (location.bucket) {
+      return this.requestWithRetry('S3', 'getObject', { Bucket: location.bucket, Key: location.key }).then(r => r.Body);
+    }
+
+    return BbPromise.resolve(fs.readFileSync(location.file));
+  }
+
+  getArchivedCode(key) {
+    //S3 archives are published from the bucket, which also avoids the size limit of direct uploads
+    const location = this.parseArchiveLocation(key);
+    if (location.bucket) {
+      return BbPromise.resolve({ S3Bucket: location.bucket, S3Key: location.key });
+    }
+
+    return this.readArchiveFile(key).then(ZipFile => ({ ZipFile }));
+  }
+
+  cliRestore() {
+    const { archive, qualifier } = this.options;
+    if (!archive || !qualifier || !this.options.function === !this.options.layer) {
+      throw new this.serverless.classes.Error('--archive, --qualifier and one of --function or --layer are required to restore a version.');
+    }
+
+    if (this.options.layer) {
+      const { name } = this.getLayerTargets()[0];
+      return this.restoreLayerVersion(name, qualifier);
+    }
+
+    const target = this.getFunctionTargets()[0];
+    this.edgeFunctions = target.edge ? [target.name] : [];
+    return this.restoreFunctionVersion(target.name, qualifier);
+  }
+
+  restoreFunctionVersion(functionName, version) {
+    const key = `functions/${functionName}/${version}`;
+
+    return BbPromise.join(
+      this.readArchiveFile(`${key}/configuration.json`),
+      this.requestLambda('getFunction', { FunctionName: functionName }),
+      (body, latest) => {
+        const configuration = JSON.parse(body);
+        const code = configuration.PackageType === 'Image'
+          ? BbPromise.resolve({ ImageUri: configuration.ResolvedImageUri })
+          : this.getArchivedCode(`${key}/code.zip`);
+        const latestCode = latest.Configuration.PackageType === 'Image'
+          ? BbPromise.resolve({ ImageUri: latest.Code.ResolvedImageUri })
+          : this.downloadCode(latest.Code.Location).then(ZipFile => ({ ZipFile }));
+
+        this.logNotice(`Restoring ${functionName}:${version}, $LATEST is updated to publish it and reverted afterwards.`);
+
+        //$LATEST is reverted whether or not the version could be published
+        const revert = () => latestCode.then(current => this.updateFunction(functionName, latest.Configuration, current));
+        return BbPromise.join(code, latestCode, archived => this.updateFunction(functionName, configuration, archived))
+          .then(() => this.requestLambda('publishVersion', {
+            FunctionName: functionName,
+            CodeSha256: configuration.CodeSha256,
+            Description: configuration.Description
+          }))
+          .then(response => revert().then(() => response), e => revert().then(() => {
+            throw e;
+          }));
+      }
+    ).then(response => this.logSuccess(`Restored ${functionName}:${version} as version ${response.Version}`));
+  }
+
+  updateFunction(functionName, configuration, code) {
+    const params = RESTORED_FUNCTION_FIELDS
+      .filter(field => configuration[field] !== undefined)
+      .reduce((acc, field) => Object.assign(acc, { [field]: configuration[field] }), { FunctionName: functionName });
+
+    //settings missing from the configuration are cleared, not left as they were on $LATEST
+    const vpcConfig = configuration.VpcConfig || {};
+    params.Environment = { Variables: (configuration.Environment && configuration.Environment.Variables) || {} };
+    params.Layers = (configuration.Layers || []).map(l => l.Arn);
+    params.VpcConfig = { SubnetIds: vpcConfig.SubnetIds || [], SecurityGroupIds: vpcConfig.SecurityGroupIds || [] };
+    if (configuration.PackageType === 'Image') {
+      const imageConfig = (configuration.ImageConfigResponse && configuration.ImageConfigResponse.ImageConfig) || {};
+      params.ImageConfig = {
+        EntryPoint: imageConfig.EntryPoint || [],
+        Command: imageConfig.Command || [],
+        WorkingDirectory: imageConfig.WorkingDirectory || ''
+      };
+    }
+
+    const codeParams = Object.assign({ FunctionName: functionName }, code);
+    if (configuration.Architectures) codeParams.Architectures = configuration.Architectures;
+
+    return this.requestLambda('updateFunctionConfiguration', params)
+      .then(() => this.waitForFunctionUpdate(functionName))
+      .then(() => this.requestLambda('updateFunctionCode', codeParams))
+      .then(() => this.waitForFunctionUpdate(functionName));
+  }
+
+  waitForFunctionUpdate(functionName, waited = 0) {
+    return this.requestLambda('getFunctionConfiguration', { FunctionName: functionName }).then(configuration => {
+      if (configuration.LastUpdateStatus === 'Failed') {
+        throw new this.serverless.classes.Error(`Update of ${functionName} failed: ${configuration.LastUpdateStatusReason}`);
+      }
+
+      if (configuration.LastUpdateStatus !== 'InProgress') {
+        return BbPromise.resolve();
+      }
+
+      if (waited >= FUNCTION_UPDATE_TIMEOUT) {
+        throw new this.serverless.classes.Error(`Timed out waiting for the update of ${functionName} to complete.`);
+      }
+
+      return this.wait(FUNCTION_UPDATE_DELAY).then(() => this.waitForFunctionUpdate(functionName, waited + FUNCTION_UPDATE_DELAY));
+    });
+  }
+
+  restoreLayerVersion(layerName, version) {
+    const key = `layers/${layerName}/${version}`;
+
+    return BbPromise.join(
+      this.readArchiveFile(`${key}/configuration.json`),
+      this.getArchivedCode(`${key}/code.zip`),
+      (body, Content) => {
+        const configuration = JSON.parse(body);
+        const params = ['Description', 'CompatibleRuntimes', 'CompatibleArchitectures', 'LicenseInfo']
+          .filter(field => configuration[field] !== undefined)
+          .reduce((acc, field) => Object.assign(acc, { [field]: configuration[field] }), { LayerName: layerName, Content });
+
+        return this.requestLambda('publishLayerVersion', params);
+      }
+    ).then(response => this.logSuccess(`Restored ${layerName}:${version} as version ${response.Version}`));
+  }
+
+  requirePermission(permission, request) {
+    //versions in use cannot be told apart without the request, so the run stops instead of deleting them
+    return request.catch(e => {
+      const error = e.providerError || e;
+      if (error.statusCode !== 403 && !/^AccessDenied/.test(error.code || '')) {
+        throw e;
+      }
+
+      throw new this.serverless.classes.Error(`Missing permission ${permission}, which is required to protect versions in use: ${error.message || e.message}`);
+    });
+  }
+
+  isReplicatedFunctionError(e) {
+    return !!(e.providerError && e.providerError.statusCode === 400
+      && e.providerError.message.startsWith('Lambda was unable to delete')
+      && e.providerError.message.indexOf('because it is a replicated function.') > -1);
+  }
+
+  waitForReplicaDeletion(delay = REPLICA_WAIT_INITIAL_DELAY, waited = 0) {
+    const pending = this.awaitingReplicas;
+    if (pending.length === 0) {
+      return BbPromise.resolve();
+    }
+
+    //all versions share a single deadline
+    if (waited >= REPLICA_WAIT_TIMEOUT) {
+      this.awaitingReplicas = [];
+      pending.forEach(({ functionName, version }) => {
+        this.logWarning(`Timed out waiting for Lambda@Edge replicas of ${functionName}:${version}, deletion will be retried on the next run.`);
+        this.recordReplicatedVersion(functionName, version);
+      });
+      return BbPromise.resolve();
+    }
+
+    this.logInfo(`Waiting for Lambda@Edge replicas of ${pending.map(p => `${p.functionName}:${p.version}`).join(', ')} to be removed.`);
+    return this.wait(delay)
+      .then(() => BbPromise.filter(pending, ({ functionName, version }) => {
+        return this.deleteFunctionVersion(functionName, version)
+          .then(() => false, e => {
+            if (this.isReplicatedFunctionError(e)) return true;
+            this.handlePruneError('functions', functionName, version, e);
+            return false;
+          });
+      }, { concurrency: this.getConcurrency() }))
+      .then(remaining => {
+        this.awaitingReplicas = remaining;
+        return this.waitForReplicaDeletion(Math.min(delay * 2, REPLICA_WAIT_MAX_DELAY), waited + delay);
+      });
+  }
+
+  recordReplicatedVersion(functionName, version) {
+    this.getReportEntry('functions', functionName).skipped.push({ version: '' + version, reason: 'replicated Lambda@Edge function' });
+    this.replicatedVersions.push({
+      functionName,
+      version: '' + version,
+      region: this.getFunctionRegion(functionName) || this.getRegion()
+    });
+  }
+
+  getStateLocation() {
+    //kept in the deployment bucket, as .serverless is emptied on every deployment
+    const key = `${this.provider.getDeploymentPrefix()}/${this.serverless.service.service}/${this.getStage()}/prune-state.json`;
+    return this.getDeploymentBucketName()
+      .then(bucket => ({ Bucket: bucket, Key: key }));
+  }
+
+  loadReplicatedVersions() {
+    this.replicatedStateFound = false;
+
+    //only Lambda@Edge functions have replicas, other runs leave the deployment bucket alone
+    if (this.edgeFunctions.length === 0) {
+      return BbPromise.resolve([]);
+    }
+
+    return this.getStateLocation()
+      .then(location => this.requestWithRetry('S3', 'getObject', location))
+      .then(response => {
+        const state = JSON.parse(response.Body.toString());
+        this.replicatedStateFound = true;
+        return state.replicatedVersions || [];
+      })
+      .catch(e => {
+        //no previous state
+        if ((e.providerError || e).code !== 'NoSuchKey') {
+          this.logWarning(`Unable to load pending Lambda@Edge deletions: ${e.message}`);
+        }
+        return [];
+      });
+  }
+
+  saveReplicatedVersions() {
+    if (this.options.dryRun || this.edgeFunctions.length === 0 || (this.replicatedVersions.length === 0 && !this.replicatedStateFound)) {
+      return BbPromise.resolve();
+    }
+
+    return this.getStateLocation()
+      .then(location => {
+        if (this.replicatedVersions.length > 0) {
+          const body = JSON.stringify({ replicatedVersions: this.replicatedVersions }, null, 2);
+          return this.requestWithRetry('S3', 'putObject', Object.assign({ Body: body, ContentType: 'application/json' }, location));
+        }
+
+        return this.requestWithRetry('S3', 'deleteObject', location);
+      })
+      .catch(e => this.logWarning(`Unable to save pending Lambda@Edge deletions: ${e.message}`));
+  }
+
+  isFunctionExcludedByTags(functionName) {
+    const excludeTags = this.pluginCustom.excludeTags || [];
+    if (excludeTags.length === 0) {
+      return BbPromise.resolve(false);
+    }
+
+    return this.requestLambda('getFunction', { FunctionName: functionName })
+      .then(response => response.Tags || {}, e => {
+        //ignore if function not deployed
+        if (e.providerError && e.providerError.statusCode === 404) return {};
+        else throw e;
+      })
+      .then(tags => {
+        const rule = excludeTags.find(ruleTags => Object.keys(ruleTags).every(k => tags[k] === String(ruleTags[k])));
+        if (rule) {
+          const description = Object.keys(rule).map(k => `${k}=${rule[k]}`).join(',');
+          this.logInfo(`Skipping function ${functionName}, excluded from pruning by tags ${description}.`);
+          this.getReportEntry('functions', functionName).skipped.push({ reason: `excluded by tags ${description}` });
+        }
+
+        return !!rule;
+      });
+  }
+
+  listAliasesForFunction(functionName) {
+    const params = {
+      FunctionName: functionName
+    };
+
+    return this.makeLambdaRequest('listAliases', params, r => r.Aliases)
+      .catch(e => {
+        //ignore if function not deployed
+        if (e.providerError && e.providerError.statusCode === 404) return [];
+        else throw e;
+      });
+  }
+
+  listProtectedVersionsForFunction(functionName, versions) {
+    return BbPromise.join(
+      this.listProvisionedConcurrencyForFunction(functionName),
+      this.listEventSourceMappingsForFunction(functionName),
+      this.listStackVersionReferences(),
+      this.listRollbackReferences(),
+      (provisionedConfigs, mappings, stackReferences, rollbackReferences) => {
+        const protectedVersions = {};
+        const protect = (version, reason) => {
+          if (version) {
+            protectedVersions[version] = (protectedVersions[version] || []).concat(reason);
+          }
+        };
+
+        provisionedConfigs.forEach(c => protect(c.FunctionArn.split(':')[7], 'provisioned concurrency'));
+        mappings.forEach(m => protect(m.FunctionArn.split(':')[7], `event source mapping ${m.UUID}`));
+        stackReferences
+          .filter(r => r.functionName === functionName)
+          .forEach(r => protect(r.version, r.reason));
+        rollbackReferences.functions
+          .filter(r => r.functionName === functionName)
+          .forEach(r => versions
+            .filter(f => f.CodeSha256 === r.codeSha256)
+            .forEach(f => protect(f.Version, r.reason)));
+
+        return protectedVersions;
+      }
+    );
+  }
+
+  listProtectedVersionsForLayer(layerName) {
+    return BbPromise.join(
+      this.listRollbackLayerVersions(),
+      this.listFunctionLayerVersions(),
+      (rollbackLayerVersions, functionLayerVersions) => {
+        const protectedVersions = {};
+        rollbackLayerVersions.concat(functionLayerVersions)
+          .filter(r => r.arn.split(':')[6] === layerName)
+          .forEach(r => {
+            const version = r.arn.split(':')[7];
+            protectedVersions[version] = (protectedVersions[version] || []).concat(r.reason);
+          });
+
+        return protectedVersions;
+      }
+    );
+  }
+
+  listFunctionLayerVersions() {
+    //function configurations in the account are listed once per run
+    if (!this.functionLayerVersions) {
+      //published versions keep the layers they were published with, e.g. behind an alias or for rollback
+      this.functionLayerVersions = this.makeLambdaRequest('listFunctions', { FunctionVersion: 'ALL' }, r => r.Functions)
+        .then(functions => functions.reduce((acc, f) => acc.concat((f.Layers || []).map(layer => ({
+          arn: layer.Arn,
+          reason: `used by function ${f.FunctionName}${f.Version && f.Version !== '$LATEST' ? `:${f.Version}` : ''}`
+        }))), []));
+    }
+
+    return this.functionLayerVersions;
+  }
+
+  listProvisionedConcurrencyForFunction(functionName) {
+    const params = {
+      FunctionName: functionName
+    };
+
+    return this.requirePermission('lambda:ListProvisionedConcurrencyConfigs',
+      this.makeLambdaRequest('listProvisionedConcurrencyConfigs', params, r => r.ProvisionedConcurrencyConfigs))
+      .catch(e => {
+        //ignore if function not deployed
+        if (e.providerError && e.providerError.statusCode === 404) return [];
+        else throw e;
+      });
+  }
+
+  listEventSourceMappingsForFunction(functionName) {
+    //mappings are listed once per run, as filtering by function name omits qualified targets
+    if (!this.eventSourceMappings) {
+      this.eventSourceMappings = this.requirePermission('lambda:ListEventSourceMappings',
+        this.makeLambdaRequest('listEventSourceMappings', {}, r => r.EventSourceMappings));
+    }
+
+    return this.eventSourceMappings
+      .then(mappings => mappings.filter(m => m.FunctionArn && m.FunctionArn.split(':')[6] === functionName));
+  }
+
+  listStackVersionReferences() {
+    //the deployed stack is scanned once per run for qualified function ARNs
+    if (!this.stackVersionReferences) {
+      const stackName = this.getStackName();
+      const params = {
+        StackName: stackName
+      };
+
+      this.stackVersionReferences = BbPromise.join(
+        this.requirePermission('cloudformation:GetTemplate', this.requestWithRetry('CloudFormation', 'getTemplate', params)),
+        this.listStackResources(stackName),
+        this.requirePermission('cloudformation:DescribeStacks', this.requestWithRetry('CloudFormation', 'describeStacks', params)),
+        (template, resources, stacks) => {
+          const references = [];
+          const collect = (text, reason) => {
+            const pattern = /arn:aws[a-z-]*:lambda:[a-z0-9-]+:\d{12}:function:([A-Za-z0-9_-]+):(\d+)/g;
+            let match;
+            while ((match = pattern.exec(text || '')) !== null) {
+              references.push({ functionName: match[1], version: match[2], reason });
+            }
+          };
+
+          const templateBody = template.TemplateBody;
+          collect(typeof templateBody === 'string' ? templateBody : JSON.stringify(templateBody), 'stack template');
+          resources.forEach(r => collect(r.PhysicalResourceId, `stack resource ${r.LogicalResourceId}`));
+          (stacks.Stacks || [])
+            .reduce((acc, stack) => acc.concat(stack.Outputs || []), [])
+            .forEach(o => collect(o.OutputValue, `stack output ${o.OutputKey}`));
+
+          return references;
+        }
+      ).catch(e => {
+        //versions of a service whose stack is not deployed are pruned without stack references
+        if (e.message && e.message.indexOf('does not exist') > -1) {
+          this.logWarning(`Stack ${stackName} not found, versions it references cannot be protected.`);
+          return [];
+        }
+        else throw e;
+      });
+    }
+
+    return this.stackVersionReferences;
+  }
+
+  listRollbackReferences() {
+    //templates of recent deployments are read once per run from the deployment bucket
+    if (!this.rollbackReferences) {
+      const count = this.getKeepRollbackDeployments();
+      if (!count || count <= 0) {
+        this.rollbackReferences = BbPromise.resolve({ functions: [], layers: [] });
+        return this.rollbackReferences;
+      }
+
+      const service = this.serverless.service.service;
+      const prefix = `${this.provider.getDeploymentPrefix()}/${service}/${this.getStage()}/`;
+
+      this.rollbackReferences = this.getDeploymentBucketName()
+        .then(bucket => this.listDeploymentTemplateKeys(bucket, prefix)
+          .then(keys => BbPromise.mapSeries(keys.sort().reverse().slice(0, count), key => {
+            return this.requestWithRetry('S3', 'getObject', { Bucket: bucket, Key: key })
+              .then(response => ({
+                deployment: key.slice(prefix.length).split('/')[0],
+                template: JSON.parse(response.Body.toString())
+              }));
+          })))
+        .then(deployments => this.getDeploymentReferences(deployments));
+    }
+
+    return this.rollbackReferences;
+  }
+
+  listDeploymentTemplateKeys(bucket, prefix) {
+    return this.paginate('S3', 'listObjectsV2', { Bucket: bucket, Prefix: prefix }, r => r.Contents)
+      .then(objects => objects
+        .map(o => o.Key)
+        .filter(key => key.endsWith('/compiled-cloudformation-template.json')));
+  }
+
+  getDeploymentReferences(deployments) {
+    const references = { functions: [], layers: [] };
+
+    deployments.forEach(({ deployment, template }) => {
+      const resources = template.Resources || {};
+      const reason = `rollback deployment ${deployment}`;
+      const resolveName = name => name && name.Ref && resources[name.Ref]
+        ? resources[name.Ref].Properties.FunctionName
+        : name;
+
+      Object.keys(resources).map(key => resources[key]).forEach(resource => {
+        const properties = resource.Properties || {};
+        if (resource.Type === 'AWS::Lambda::Version' && properties.CodeSha256) {
+          references.functions.push({
+            functionName: resolveName(properties.FunctionName),
+            codeSha256: properties.CodeSha256,
+            reason
+          });
+        } else if (resource.Type === 'AWS::Lambda::Function') {
+          (properties.Layers || [])
+            .filter(arn => typeof arn === 'string')
+            .forEach(arn => references.layers.push({ arn, reason }));
+        }
+      });
+    });
+
+    return references;
+  }
+
+  listRollbackLayerVersions() {
+    //layer versions in use by the function versions kept for rollback
+    if (!this.rollbackLayerVersions) {
+      this.rollbackLayerVersions = this.listRollbackReferences().then(references => {
+        const functionNames = references.functions
+          .map(r => r.functionName)
+          .filter((name, index, names) => names.indexOf(name) === index);
+
+        return BbPromise.mapSeries(functionNames, functionName => {
+          return this.listVersionForFunction(functionName).then(versions => {
+            const layerVersions = [];
+            references.functions
+              .filter(r => r.functionName === functionName)
+              .forEach(r => versions
+                .filter(f => f.CodeSha256 === r.codeSha256)
+                .forEach(f => (f.Layers || []).forEach(layer => layerVersions.push({ arn: layer.Arn, reason: r.reason }))));
+
+            return layerVersions;
+          });
+        }).then(layerVersions => references.layers.concat(...layerVersions));
+      });
+    }
+
+    return this.rollbackLayerVersions;
+  }
+
+  listStackResources(stackName) {
+    return this.requirePermission('cloudformation:ListStackResources',
+      this.paginate('CloudFormation', 'listStackResources', { StackName: stackName }, r => r.StackResourceSummaries));
+  }
+
+  listStateMachineTargets() {
+    //state machines are deployed by plugins such as serverless-step-functions, and found in the stack
+    return this.listStackResources(this.getStackName())
+      .then(resources => resources
+        .filter(r => r.ResourceType === 'AWS::StepFunctions::StateMachine' && r.PhysicalResourceId)
+        .map(r => ({ key: r.LogicalResourceId, name: r.PhysicalResourceId.split(':')[6], arn: r.PhysicalResourceId, custom: {} })))
+      .catch(e => {
+        if (e.message && e.message.indexOf('does not exist') > -1) return [];
+        throw e;
+      });
+  }
+
+  listStateMachineVersions(stateMachineArn) {
+    return this.paginate('StepFunctions', 'listStateMachineVersions', { stateMachineArn }, r => r.stateMachineVersions)
+      .then(versions => versions.map(v => ({
+        Version: v.stateMachineVersionArn.split(':').pop(),
+        creationDate: v.creationDate
+      })));
+  }
+
+  listStateMachineAliases(stateMachineArn) {
+    //alias listings do not include the routing configuration
+    return this.paginate('StepFunctions', 'listStateMachineAliases', { stateMachineArn }, r => r.stateMachineAliases)
+      .then(aliases => BbPromise.map(aliases, a => {
+        return this.requestWithRetry('StepFunctions', 'describeStateMachineAlias', { stateMachineAliasArn: a.stateMachineAliasArn });
+      }, { concurrency: this.getConcurrency() }));
+  }
+
+  deleteVersionsForStateMachine(name, stateMachineArn, versions) {
+    return BbPromise.map(versions, version => {
+      this.logInfo(`Deleting state machine version ${name}:${version}.`);
+
+      return this.requestWithRetry('StepFunctions', 'deleteStateMachineVersion', { stateMachineVersionArn: `${stateMachineArn}:${version}` })
+        .then(() => this.getReportEntry('stateMachines', name).deleted.push('' + version))
+        .catch(e => this.handlePruneError('stateMachines', name, version, e));
+    }, { concurrency: this.getConcurrency() });
+  }
+
+  listVersionForFunction(functionName) {
+    const params = {
+      FunctionName: functionName
+    };
+
+    return this.makeLambdaRequest('listVersionsByFunction', params, r => r.Versions)
+      .catch(e => {
+        //ignore if function not deployed
+        if (e.providerError && e.providerError.statusCode === 404) return [];
+        else throw e;
+      });
   }
 
   listVersionsForLayer(layerName) {
@@ -298,44 +2246,520 @@ class Prune {
   }
 
   makeLambdaRequest(action, params, responseMapping) {
+    return this.paginate('Lambda', action, params, responseMapping, this.getFunctionRegion(params.FunctionName));
+  }
+
+  paginate(service, action, params, responseMapping, region) {
+    const tokens = PAGINATION_TOKENS[service];
     const results = [];
     const responseHandler = response => {
-      Array.prototype.push.apply(results, responseMapping(response));
+      Array.prototype.push.apply(results, responseMapping(response) || []);
 
-      if (response.NextMarker) {
-        return this.provider.request('Lambda', action, Object.assign({}, params, { Marker: response.NextMarker }))
+      if (response[tokens.response]) {
+        return this.requestWithRetry(service, action, Object.assign({}, params, { [tokens.request]: response[tokens.response] }), region)
           .then(responseHandler);
       } else {
         return BbPromise.resolve(results);
       }
     };
 
-    return this.provider.request('Lambda', action, params)
+    return this.requestWithRetry(service, action, params, region)
       .then(responseHandler);
   }
 
-  selectPruneVersionsForFunction(versions, aliases) {
-    const aliasedVersion = aliases.map(a => a.FunctionVersion);
+  requestLambda(action, params, region) {
+    return this.requestWithRetry('Lambda', action, params, region || this.getFunctionRegion(params.FunctionName));
+  }
+
+  requestWithRetry(service, action, params, region, attempt = 0) {
+    const targetRegion = region || (this.target ? this.target.region : undefined);
 
-    return versions
-      .map(f => f.Version)
-      .filter(v => v !== '$LATEST') //skip $LATEST
-      .filter(v => aliasedVersion.indexOf(v) === -1) //skip aliased versions
-      .sort((a, b) => parseInt(a) === parseInt(b) ? 0 : parseInt(a) > parseInt(b) ? -1 : 1)
-      .slice(this.getNumber());
+    return this.runLimited(() => {
+      if (targetRegion) {
+        return this.provider.request(service, action, params, { region: targetRegion });
+      } else {
+        return this.provider.request(service, action, params);
+      }
+    }).catch(e => {
+      if (!this.isRetryableError(e) || attempt + 1 >= RETRY_MAX_ATTEMPTS) throw e;
+
+      //exponential backoff with full jitter
+      const delay = Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempt));
+      this.logInfo(`${service} ${action} request throttled, retrying in ${Math.round(delay)}ms.`);
+      return this.wait(delay).then(() => this.requestWithRetry(service, action, params, region, attempt + 1));
+    });
+  }
+
+  isRetryableError(e) {
+    const providerError = e.providerError || e;
+    return RETRY_ERROR_CODES.indexOf(providerError.code) > -1 || providerError.statusCode === 429;
+  }
+
+  runLimited(task) {
+    return new BbPromise((resolve, reject) => {
+      this.requestQueue.push(() => BbPromise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.activeRequests--;
+          this.runQueued();
+        }));
+      this.runQueued();
+    });
+  }
+
+  runQueued() {
+    while (this.activeRequests < this.getConcurrency() && this.requestQueue.length > 0) {
+      this.activeRequests++;
+      this.requestQueue.shift()();
+    }
+  }
+
+  getFunctionRegion(functionName) {
+    //Lambda@Edge functions only exist in us-east-1
+    return this.edgeFunctions.indexOf(functionName) > -1 ? EDGE_REGION : undefined;
+  }
+
+  wait(ms) {
+    return BbPromise.delay(ms);
+  }
+
+  selectPruneVersionsForFunction(versions, aliases, number = this.getNumber(), protectedVersions = {}) {
+    return this.evaluateFunctionVersions(versions, aliases, number, protectedVersions)
+      .filter(v => v.reasons.length === 0)
+      .map(v => v.version);
+  }
+
+  evaluateFunctionVersions(versions, aliases, number = this.getNumber(), protectedVersions = {}) {
+    const aliasReasons = {};
+    aliases.forEach(a => {
+      const addReason = (version, reason) => aliasReasons[version] = (aliasReasons[version] || []).concat(reason);
+      addReason(a.FunctionVersion, `alias ${a.Name}`);
+      this.getAliasWeightedVersions(a).forEach(v => addReason(v, `alias ${a.Name} (weighted)`));
+    });
+
+    return this.evaluateVersions(
+      versions.filter(f => f.Version !== '$LATEST'), //skip $LATEST
+      number,
+      f => (aliasReasons[f.Version] || []).concat(protectedVersions[f.Version] || [], this.getProtectRuleReasons(f)),
+      f => f.LastModified
+    );
+  }
+
+  getAliasWeightedVersions(alias) {
+    const weights = alias.RoutingConfig && alias.RoutingConfig.AdditionalVersionWeights;
+    return weights ? Object.keys(weights) : [];
+  }
+
+  selectStaleAliases(aliases, versions) {
+    const rules = this.pluginCustom.aliases;
+    if (!rules || rules.names.length === 0) {
+      return [];
+    }
+
+    const matches = (patterns, alias) => patterns.some(pattern => this.createNameMatcher(pattern)(alias.Name));
+    return aliases.filter(alias => {
+      if (!matches(rules.names, alias) || matches(rules.keep, alias)) {
+        return false;
+      }
+
+      if (rules.maxAgeDays == null) {
+        return true;
+      }
+
+      //aliases have no creation date, their age is that of the version they point to
+      const version = versions.find(v => v.Version === alias.FunctionVersion);
+      const age = version ? Date.now() - Date.parse(version.LastModified) : NaN;
+      return !isNaN(age) && age > rules.maxAgeDays * 24 * 60 * 60 * 1000;
+    });
+  }
+
+  deleteAliases(functionName, aliases, versions) {
+    if (!aliases || aliases.length === 0) {
+      return BbPromise.resolve(versions);
+    }
+
+    return BbPromise.map(aliases, alias => {
+      this.logInfo(`Deleting alias ${functionName}:${alias.Name}.`);
+
+      return this.requestLambda('deleteAlias', { FunctionName: functionName, Name: alias.Name })
+        .then(() => null, e => {
+          this.handlePruneError('functions', functionName, null, e);
+          return alias;
+        });
+    }, { concurrency: this.getConcurrency() }).then(failed => {
+      //versions of aliases which could not be deleted are still in use
+      const pinned = failed
+        .filter(alias => !!alias)
+        .reduce((acc, alias) => acc.concat(alias.FunctionVersion, this.getAliasWeightedVersions(alias)), []);
+      return versions.filter(version => pinned.indexOf('' + version) === -1);
+    });
+  }
+
+  evaluateStateMachineVersions(versions, aliases, number = this.getNumber()) {
+    const aliasReasons = {};
+    aliases.forEach(a => (a.routingConfiguration || []).forEach(route => {
+      const version = route.stateMachineVersionArn.split(':').pop();
+      aliasReasons[version] = (aliasReasons[version] || []).concat(`alias ${a.name}`);
+    }));
+
+    return this.evaluateVersions(
+      versions,
+      number,
+      v => (aliasReasons[v.Version] || []).slice(),
+      v => v.creationDate
+    );
+  }
+
+  selectPruneVersionsForLayer(versions, number = this.getNumber(), protectedVersions = {}) {
+    return this.evaluateLayerVersions(versions, number, protectedVersions)
+      .filter(v => v.reasons.length === 0)
+      .map(v => v.version);
+  }
+
+  evaluateLayerVersions(versions, number = this.getNumber(), protectedVersions = {}) {
+    return this.evaluateVersions(
+      versions,
+      number,
+      f => (protectedVersions[f.Version] || []).concat(this.getProtectRuleReasons(f)),
+      f => f.CreatedDate
+    );
   }
 
-  selectPruneVersionsForLayer(versions) {
+  getProtectRuleReasons(version) {
+    //rules match the version description and, for layers, the compatible runtimes
+    return (this.pluginCustom.protect || [])
+      .filter(rule => {
+        const description = !rule.description || this.createNameMatcher(rule.description)(version.Description || '');
+        const runtime = !rule.runtime || (version.CompatibleRuntimes || []).some(r => this.createNameMatcher(rule.runtime)(r));
+        return description && runtime;
+      })
+      .map(rule => 'protect rule ' + ['description', 'runtime']
+        .filter(k => rule[k])
+        .map(k => `${k} ${rule[k]}`)
+        .join(', '));
+  }
+
+  evaluateVersions(versions, number, getProtectionReasons, getDate) {
+    //versions without a reason to be kept are deletion candidates
+    let counted = 0;
+
     return versions
-      .map(f => f.Version)
-      .sort((a, b) => parseInt(a) === parseInt(b) ? 0 : parseInt(a) > parseInt(b) ? -1 : 1)
-      .slice(this.getNumber());
+      .slice()
+      .sort((a, b) => parseInt(a.Version) === parseInt(b.Version) ? 0 : parseInt(a.Version) > parseInt(b.Version) ? -1 : 1)
+      .map(f => {
+        const reasons = getProtectionReasons(f);
+        if (reasons.length === 0) {
+          if (counted++ < number) reasons.push('count');
+          else if (this.isRetainedByAge(getDate(f))) reasons.push('age');
+        }
+
+        return { version: f.Version, reasons };
+      });
+  }
+
+  isRetainedByAge(date) {
+    const keepDays = this.getKeepDays();
+    const minAgeHours = this.getMinAgeHours();
+    if (keepDays == null && minAgeHours == null) {
+      return false;
+    }
+
+    const age = Date.now() - Date.parse(date);
+    if (isNaN(age)) {
+      //keep versions of unknown age when an age rule applies
+      return true;
+    }
+
+    const hour = 60 * 60 * 1000;
+    return (keepDays != null && age < keepDays * 24 * hour)
+      || (minAgeHours != null && age < minAgeHours * hour);
+  }
+
+  getReportEntry(type, name) {
+    let entry = this.report[type].find(e => e.name === name);
+    if (!entry) {
+      entry = { name, versions: [], kept: [], candidates: [], deleted: [], skipped: [], errors: [] };
+      this.report[type].push(entry);
+    }
+
+    return entry;
+  }
+
+  recordEvaluation(type, name, evaluatedVersions) {
+    const entry = this.getReportEntry(type, name);
+    entry.versions = evaluatedVersions.map(v => '' + v.version);
+    entry.kept = evaluatedVersions
+      .filter(v => v.reasons.length > 0)
+      .map(v => ({ version: '' + v.version, reasons: v.reasons }));
+    entry.candidates = evaluatedVersions
+      .filter(v => v.reasons.length === 0)
+      .map(v => '' + v.version);
+
+    return evaluatedVersions
+      .filter(v => v.reasons.length === 0)
+      .map(v => v.version);
+  }
+
+  recordError(type, name, version, e) {
+    const message = (e.providerError && e.providerError.message) || e.message || String(e);
+    this.getReportEntry(type, name).errors.push({ version: version != null ? '' + version : null, message });
+    return message;
+  }
+
+  handlePruneError(type, name, version, e) {
+    const message = this.recordError(type, name, version, e);
+    if (!this.getContinueOnError()) {
+      throw e;
+    }
+
+    const target = version != null ? `${name}:${version}` : name;
+    this.logWarning(`Failed to prune ${target}, continuing: ${message}`);
+  }
+
+  reportFailures() {
+    const rows = [];
+    const reports = this.targetReports.length > 0 ? this.targetReports : [this.report];
+    reports.forEach(report => Object.keys(TYPE_LABELS).forEach(type => report[type].forEach(entry => entry.errors.forEach(error => {
+      const name = report.region ? `${entry.name} (${report.region})` : entry.name;
+      rows.push([TYPE_LABELS[type], name, error.version || '-', error.message]);
+    }))));
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    this.logWarning(`Pruning completed with ${rows.length} failure(s):`);
+    this.formatTable(['Type', 'Name', 'Version', 'Error'], rows).forEach(line => this.logWarning(line));
+
+    if (this.getFailOnError()) {
+      throw new this.serverless.classes.Error(`Pruning failed for ${rows.length} version(s), functions or layers.`);
+    }
+  }
+
+  formatTable(headers, rows) {
+    const widths = headers.map((header, i) => rows.reduce((width, row) => Math.max(width, String(row[i]).length), header.length));
+    const formatRow = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+
+    return [formatRow(headers), formatRow(widths.map(width => '-'.repeat(width)))].concat(rows.map(formatRow));
+  }
+
+  writeReport() {
+    if (this.options.output !== 'json' && !this.options.outputFile) {
+      return;
+    }
+
+    this.writeJson(this.targetReports.length > 0 ? {
+      dryRun: !!this.options.dryRun,
+      targets: this.targetReports
+    } : Object.assign({
+      dryRun: !!this.options.dryRun,
+      stage: this.getStage(),
+      region: this.getRegion()
+    }, this.report), 'Pruning report');
+  }
+
+  writeJson(data, description) {
+    const json = JSON.stringify(data, null, 2);
+
+    if (this.options.outputFile) {
+      fs.writeFileSync(this.options.outputFile, json);
+      this.logInfo(`${description} written to ${this.options.outputFile}.`);
+    } else {
+      this.writeText(json);
+    }
+  }
+
+  recordPlan(type, name, versions, deletionCandidates, staleAliases = []) {
+    //plan files cover function and layer versions
+    if (!PLAN_FIELDS[type] || (deletionCandidates.length === 0 && staleAliases.length === 0)) {
+      return;
+    }
+
+    this.pruningPlan[type].push(Object.assign(staleAliases.length > 0 ? { aliases: staleAliases.map(a => a.Name) } : {}, {
+      name,
+      region: (type === 'functions' && this.getFunctionRegion(name)) || this.getRegion(),
+      versions: versions
+        .filter(v => deletionCandidates.indexOf(v.Version) > -1)
+        .map(v => PLAN_FIELDS[type].reduce((acc, field) => Object.assign(acc, { [field]: v[field] }), { Version: v.Version }))
+    }));
+  }
+
+  writePlan(file) {
+    if (!file) {
+      return;
+    }
+
+    const plan = Object.assign({
+      service: this.serverless.service.service,
+      stage: this.getStage(),
+      region: this.getRegion(),
+      createdAt: new Date().toISOString()
+    }, this.pruningPlan);
+
+    fs.writeFileSync(file, JSON.stringify(plan, null, 2));
+    this.logNotice(`Pruning plan written to ${file}, use --apply ${file} to delete the planned versions.`);
+  }
+
+  readPlan(file) {
+    try {
+      const plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Object.assign({ functions: [], layers: [] }, plan);
+    } catch (e) {
+      throw new this.serverless.classes.Error(`Unable to read the pruning plan ${file}: ${e.message}`);
+    }
+  }
+
+  applyPlan(file) {
+    const plan = this.readPlan(file);
+    const stage = this.getStage();
+    const region = this.getRegion();
+
+    if (plan.stage !== stage || plan.region !== region) {
+      throw new this.serverless.classes.Error(`The pruning plan ${file} was created for stage ${plan.stage} in region ${plan.region}, not stage ${stage} in region ${region}.`);
+    }
+
+    if (this.options.dryRun) {
+      this.logNotice('Dry-run enabled, no pruning actions will be performed.');
+    }
+
+    //Lambda@Edge functions were planned in their own region
+    this.edgeFunctions = plan.functions.filter(f => f.region !== region).map(f => f.name);
+
+    //versions still pending deletion of their replicas are kept in the state
+    return this.loadReplicatedVersions().then(pending => {
+      this.replicatedVersions = pending;
+    }).then(() => BbPromise.mapSeries(plan.functions, ({ name, versions, aliases: plannedAliases }) => {
+      let staleAliases = [];
+
+      return BbPromise.join(
+        this.listVersionForFunction(name),
+        this.listAliasesForFunction(name),
+        (deployed, aliases) => {
+          staleAliases = aliases.filter(a => (plannedAliases || []).indexOf(a.Name) > -1);
+          const aliased = aliases
+            .filter(a => staleAliases.indexOf(a) === -1)
+            .reduce((acc, a) => acc.concat(a.FunctionVersion, this.getAliasWeightedVersions(a)), []);
+          return this.selectPlannedVersions('functions', name, versions, deployed,
+            version => aliased.indexOf(version) > -1 ? 'it is aliased' : null);
+        }
+      ).then(selected => {
+        if (this.options.dryRun) {
+          this.printStaleAliases(name, staleAliases);
+          return this.printPruningCandidates(name, selected);
+        }
+
+        return this.deleteAliases(name, staleAliases, selected).then(remaining => this.deleteVersionsForFunction(name, remaining));
+      }).catch(e => this.handlePruneError('functions', name, null, e));
+    })).then(() => this.waitForReplicaDeletion()).then(() => BbPromise.mapSeries(plan.layers, ({ name, versions }) => {
+      return this.listVersionsForLayer(name)
+        .then(deployed => this.selectPlannedVersions('layers', name, versions, deployed, () => null))
+        .then(selected => this.options.dryRun
+          ? this.printPruningCandidates(name, selected)
+          : this.deleteVersionsForLayer(name, selected)
+        ).catch(e => this.handlePruneError('layers', name, null, e));
+    })).then(() => {
+      this.logSuccess('Pruning plan applied');
+    }).finally(() => this.saveReplicatedVersions());
+  }
+
+  selectPlannedVersions(type, name, planned, deployed, getProtectionReason) {
+    //versions which changed since the plan was reviewed are left alone
+    return planned.filter(p => {
+      const current = deployed.find(v => v.Version === p.Version);
+      const changed = current && PLAN_FIELDS[type].find(field => current[field] !== p[field]);
+      let reason = getProtectionReason(p.Version);
+      if (!current) reason = 'it no longer exists';
+      else if (changed) reason = `its ${changed} changed`;
+
+      if (reason) {
+        this.logWarning(`Skipping planned version ${name}:${p.Version}, ${reason}.`);
+        this.getReportEntry(type, name).skipped.push({ version: '' + p.Version, reason });
+      }
+      return !reason;
+    }).map(p => p.Version);
+  }
+
+  confirmPruning(type, plans, progressName, images) {
+    const count = plans.reduce((acc, plan) => acc + plan.deletionCandidates.length, 0);
+    const aliasCount = plans.reduce((acc, plan) => acc + (plan.staleAliases || []).length, 0);
+    const imageCount = images ? images.digests.length : 0;
+    if (!this.confirmDeletion || count + aliasCount + imageCount === 0) {
+      return BbPromise.resolve(true);
+    }
+
+    //the progress spinner would overwrite the prompt
+    this.clearProgress(progressName);
+    this.printPruningPlan(type, plans);
+    if (imageCount > 0) {
+      this.writeText(`Unused images in ${images.repositoryName}: ${imageCount}`);
+    }
+
+    const label = TYPE_LABELS[type];
+    const items = [`${count} ${label} version(s)`];
+    if (aliasCount > 0) items.push(`${aliasCount} alias(es)`);
+    if (imageCount > 0) items.push(`${imageCount} image(s)`);
+    const deletions = items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+    const question = `Delete ${deletions} in stage ${this.getStage()}, region ${this.getRegion()}? (y/N) `;
+
+    return this.prompt(question).then(answer => {
+      const confirmed = /^y(es)?$/i.test(String(answer || '').trim());
+      if (confirmed) {
+        this.createProgress(progressName, `Pruning ${label} versions`);
+      }
+      return confirmed;
+    });
+  }
+
+  printPruningPlan(type, plans) {
+    const rows = plans.map(({ name, evaluatedVersions, deletionCandidates }) => {
+      const kept = evaluatedVersions.filter(v => v.reasons.length > 0);
+      const reasons = {};
+      kept.forEach(v => {
+        const category = this.getReasonCategory(v.reasons[0]);
+        reasons[category] = (reasons[category] || 0) + 1;
+      });
+      const summary = Object.keys(reasons).map(reason => `${reason} ${reasons[reason]}`).join(', ');
+
+      return [name, evaluatedVersions.length, deletionCandidates.length, kept.length > 0 ? `${kept.length} (${summary})` : '0'];
+    });
+
+    const label = TYPE_LABELS[type];
+    this.formatTable([label.charAt(0).toUpperCase() + label.slice(1), 'Versions', 'Delete', 'Keep'], rows)
+      .forEach(line => this.writeText(line));
+  }
+
+  getReasonCategory(reason) {
+    const match = /^(alias|provisioned concurrency|event source mapping|stack|rollback deployment|used by function|protect rule)/.exec(reason);
+    return match ? match[1] : reason;
+  }
+
+  isInteractive() {
+    return !!(process.stdin.isTTY && process.stdout.isTTY);
+  }
+
+  prompt(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new BbPromise(resolve => rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    }));
+  }
+
+  printStaleAliases(name, aliases) {
+    aliases.forEach(alias => this.logInfo(`${name}:${alias.Name} alias selected for deletion.`));
   }
 
   printPruningCandidates(name, deletionCandidates) {
     deletionCandidates.forEach(version => this.logInfo(`${name}:${version} selected for deletion.`));
   }
 
+  printProtectedVersions(name, versions, protectedVersions) {
+    versions
+      .filter(f => protectedVersions[f.Version])
+      .forEach(f => this.logInfo(`${name}:${f.Version} protected (${protectedVersions[f.Version].join(', ')}).`));
+  }
+
   // -- Compatibility with both Framework 2.x and 3.x logging ---
 
   logInfo(message) {
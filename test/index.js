@@ -3,13 +3,25 @@
 /* eslint-env node, mocha */
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
 
 const PrunePlugin = require('../');
 
 describe('Prune', function() {
 
-  function createMockServerlessWithLayers(layers, serviceCustom) {
+  //tests run in a terminal must never wait for a confirmation
+  beforeEach(function() {
+    sinon.stub(PrunePlugin.prototype, 'isInteractive').returns(false);
+  });
+
+  afterEach(function() {
+    PrunePlugin.prototype.isInteractive.restore();
+  });
+
+  function createMockServerlessWithLayers(layers, serviceCustom, layerConfigs = {}) {
     let serverless = createMockServerless([], serviceCustom);
     const { service } = serverless;
 
@@ -18,24 +30,52 @@ describe('Prune', function() {
       service,
       {
         getAllLayers: () => layers,
-        getLayer: (key) => { return { name: `layer-${key}` }; },
+        getLayer: (key) => Object.assign({ name: `layer-${key}` }, layerConfigs[key]),
       }
     );
 
     return Object.assign(serverless, withLayers);
   }
 
-  function createMockServerless(functions, serviceCustom) {
+  //requests made for every function, which find nothing to protect by default
+  function stubProtectionRequests(request) {
+    request.withArgs('Lambda', 'listProvisionedConcurrencyConfigs', sinon.match.any)
+      .resolves({ ProvisionedConcurrencyConfigs: [] });
+    request.withArgs('Lambda', 'listEventSourceMappings', sinon.match.any)
+      .resolves({ EventSourceMappings: [] });
+    request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+      .resolves({ Functions: [] });
+    request.withArgs('CloudFormation', 'getTemplate', sinon.match.any)
+      .resolves({ TemplateBody: '{}' });
+    request.withArgs('CloudFormation', 'listStackResources', sinon.match.any)
+      .resolves({ StackResourceSummaries: [] });
+    request.withArgs('CloudFormation', 'describeStacks', sinon.match.any)
+      .resolves({ Stacks: [] });
+
+    return request;
+  }
+
+  function createMockServerless(functions, serviceCustom, functionConfigs = {}) {
     const serverless = {
       getProvider: sinon.stub(),
       cli: { log: sinon.stub() },
+      classes: { Error },
+      config: { servicePath: path.join(os.tmpdir(), 'prune-plugin-test-service') },
       service: {
         getAllFunctions: () => functions,
-        getFunction: (key) => { return { name:`service-${key}` }; },
+        getFunction: (key) => Object.assign({ name:`service-${key}` }, functionConfigs[key]),
+        getAllLayers: () => [],
         custom: serviceCustom
       }
     };
-    const provider = { request: sinon.stub() };
+    const provider = {
+      request: stubProtectionRequests(sinon.stub()),
+      getStage: sinon.stub().returns('dev'),
+      getRegion: sinon.stub().returns('us-east-1'),
+      naming: { getStackName: () => 'service-dev' },
+      getDeploymentPrefix: () => 'serverless',
+      getServerlessDeploymentBucketName: () => Promise.resolve('deployment-bucket')
+    };
     serverless.getProvider.withArgs('aws').returns(provider);
 
     return serverless;
@@ -67,6 +107,65 @@ describe('Prune', function() {
     return Promise.resolve(resp);
   }
 
+  function hoursAgo(hours) {
+    return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  }
+
+  function createDatedVersionsResponse(versionAges) {
+
+    const resp = {};
+    resp.Versions = Object.keys(versionAges).map(v => {
+      return {
+        Version: '' + v,
+        LastModified: hoursAgo(versionAges[v])
+      };
+    });
+
+    return Promise.resolve(resp);
+  }
+
+  function stubDeploymentTemplates(provider, templates) {
+    const keys = Object.keys(templates).map(d => `serverless/service/dev/${d}/compiled-cloudformation-template.json`);
+
+    provider.request.withArgs('S3', 'listObjectsV2', sinon.match({ Bucket: 'deployment-bucket', Prefix: 'serverless/service/dev/' }))
+      .resolves({ Contents: keys.map(Key => ({ Key })) });
+
+    Object.keys(templates).forEach((d, i) => {
+      provider.request.withArgs('S3', 'getObject', sinon.match({ Bucket: 'deployment-bucket', Key: keys[i] }))
+        .resolves({ Body: Buffer.from(JSON.stringify(templates[d])) });
+    });
+  }
+
+  function stubDeploymentBucket(provider, bucket) {
+    //the deployment bucket outlives the service directory
+    provider.request.withArgs('S3', 'getObject', sinon.match({ Bucket: 'deployment-bucket' })).callsFake((service, method, { Key }) => {
+      return bucket[Key] ? Promise.resolve({ Body: Buffer.from(bucket[Key]) }) : Promise.reject({ code: 'NoSuchKey' });
+    });
+    provider.request.withArgs('S3', 'putObject', sinon.match({ Bucket: 'deployment-bucket' })).callsFake((service, method, { Key, Body }) => {
+      bucket[Key] = Body;
+      return Promise.resolve({});
+    });
+    provider.request.withArgs('S3', 'deleteObject', sinon.match({ Bucket: 'deployment-bucket' })).callsFake((service, method, { Key }) => {
+      delete bucket[Key];
+      return Promise.resolve({});
+    });
+  }
+
+  function createDeploymentTemplate(functionName, codeSha256, layers) {
+    return {
+      Resources: {
+        FunctionALambdaFunction: {
+          Type: 'AWS::Lambda::Function',
+          Properties: { FunctionName: functionName, Layers: layers || [] }
+        },
+        FunctionALambdaVersionAbc: {
+          Type: 'AWS::Lambda::Version',
+          Properties: { FunctionName: { Ref: 'FunctionALambdaFunction' }, CodeSha256: codeSha256 }
+        }
+      }
+    };
+  }
+
   function createLayerVersionsResponse(versions) {
     const resp = {};
 
@@ -79,6 +178,19 @@ describe('Prune', function() {
     return Promise.resolve(resp);
   }
 
+  function createFunctionsResponse(functionNames) {
+    const resp = {};
+
+    resp.Functions = functionNames.map(name => {
+      return {
+        FunctionName: name,
+        FunctionArn: `arn:aws:lambda:us-east-1:123456789012:function:${name}`
+      };
+    });
+
+    return Promise.resolve(resp);
+  }
+
   describe('constructor', function() {
 
     it('should assign correct properties', function() {
@@ -116,6 +228,65 @@ describe('Prune', function() {
       assert.equal(5, plugin.getNumber());
     });
 
+    it('should assign age-based retention options from serverless.yml', function() {
+
+      const serverlessStub = createMockServerless([], {
+        prune: { number: 3, keepDays: 14, minAgeHours: '2' }
+      });
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+
+      assert.equal(14, plugin.getKeepDays());
+      assert.equal(2, plugin.getMinAgeHours());
+    });
+
+    it('should prioritize CLI provided age-based retention options', function() {
+
+      const serverlessStub = createMockServerless([], {
+        prune: { number: 3, keepDays: 14, minAgeHours: 2 }
+      });
+
+      const plugin = new PrunePlugin(serverlessStub, { keepDays: '7', minAgeHours: '0.5' });
+
+      assert.strictEqual(7, plugin.getKeepDays());
+      assert.strictEqual(0.5, plugin.getMinAgeHours());
+    });
+
+    it('should merge stage and region scoped options over the base configuration', function() {
+
+      const serverlessStub = createMockServerless([], {
+        prune: {
+          automatic: false,
+          number: 1,
+          keepDays: 7,
+          stages: {
+            prod: { automatic: true, number: 10 }
+          },
+          regions: {
+            'eu-west-1': { number: 5 }
+          }
+        }
+      });
+      const provider = serverlessStub.getProvider('aws');
+
+      provider.getStage.returns('prod');
+      const prodPlugin = new PrunePlugin(serverlessStub, {});
+      assert.equal(true, prodPlugin.pluginCustom.automatic);
+      assert.equal(10, prodPlugin.getNumber());
+      assert.equal(7, prodPlugin.getKeepDays());
+
+      provider.getRegion.returns('eu-west-1');
+      const regionPlugin = new PrunePlugin(serverlessStub, {});
+      assert.equal(true, regionPlugin.pluginCustom.automatic);
+      assert.equal(5, regionPlugin.getNumber());
+
+      provider.getStage.returns('dev');
+      provider.getRegion.returns('us-east-1');
+      const devPlugin = new PrunePlugin(serverlessStub, {});
+      assert.equal(false, devPlugin.pluginCustom.automatic);
+      assert.equal(1, devPlugin.getNumber());
+    });
+
     it('should set up event hooks', function() {
 
       const serverlessStub = createMockServerless([], null);
@@ -126,6 +297,8 @@ describe('Prune', function() {
       assert(plugin.commands.prune.lifecycleEvents.indexOf('prune') >= 0);
       assert.equal('function', typeof plugin.hooks['prune:prune']);
       assert.equal('function', typeof plugin.hooks['after:deploy:deploy']);
+      assert(plugin.commands.prune.commands.account);
+      assert.equal('function', typeof plugin.hooks['prune:account:prune']);
     });
 
     it('should prioritize CLI provided n over serverless.yml value', function() {
@@ -141,6 +314,28 @@ describe('Prune', function() {
       assert.equal(7, plugin.getNumber());
     });
 
+    it('should register the prune config schema with the framework', function() {
+
+      const serverlessStub = createMockServerless([], null);
+      serverlessStub.configSchemaHandler = {
+        defineCustomProperties: sinon.stub(),
+        defineFunctionProperties: sinon.stub()
+      };
+
+      new PrunePlugin(serverlessStub, {});
+
+      sinon.assert.calledOnce(serverlessStub.configSchemaHandler.defineCustomProperties);
+      const customSchema = serverlessStub.configSchemaHandler.defineCustomProperties.firstCall.args[0];
+      assert.equal(false, customSchema.properties.prune.additionalProperties);
+      assert.deepEqual({ type: 'boolean' }, customSchema.properties.prune.properties.automatic);
+      assert.equal(false, customSchema.properties.prune.properties.layers.additionalProperties.additionalProperties);
+
+      sinon.assert.calledOnce(serverlessStub.configSchemaHandler.defineFunctionProperties);
+      sinon.assert.calledWith(serverlessStub.configSchemaHandler.defineFunctionProperties, 'aws', sinon.match({
+        properties: { prune: sinon.match({ additionalProperties: false }) }
+      }));
+    });
+
   });
 
   describe('deleteVersionsForFunction', function() {
@@ -176,6 +371,390 @@ describe('Prune', function() {
     });
   });
 
+  describe('deleteVersionsForFunction - archive', function() {
+
+    const archiveDir = path.join(os.tmpdir(), `prune-archive-${process.pid}`);
+
+    function removeDir(dir) {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir).forEach(file => {
+        const child = path.join(dir, file);
+        if (fs.statSync(child).isDirectory()) removeDir(child);
+        else fs.unlinkSync(child);
+      });
+      fs.rmdirSync(dir);
+    }
+
+    afterEach(function() {
+      removeDir(archiveDir);
+    });
+
+    function writeArchivedVersion(configuration, code) {
+      const versionDir = path.join(archiveDir, 'functions', configuration.FunctionName, configuration.Version);
+      fs.mkdirSync(versionDir, { recursive: true });
+      fs.writeFileSync(path.join(versionDir, 'configuration.json'), JSON.stringify(configuration));
+      fs.writeFileSync(path.join(versionDir, 'code.zip'), code);
+    }
+
+    it('should archive code and configuration to a directory before deleting', function() {
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/1').resolves(Buffer.from('zip-1'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', sinon.match.any).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' },
+        Code: { Location: 'https://code/1' }
+      });
+
+      return plugin.deleteVersionsForFunction('service-FunctionA', ['1']).then(() => {
+        const versionDir = path.join(archiveDir, 'functions', 'service-FunctionA', '1');
+        assert.equal('zip-1', fs.readFileSync(path.join(versionDir, 'code.zip'), 'utf8'));
+        assert.equal('index.handler', JSON.parse(fs.readFileSync(path.join(versionDir, 'configuration.json'), 'utf8')).Handler);
+
+        const getFunction = plugin.provider.request.withArgs('Lambda', 'getFunction', sinon.match.any);
+        const deleteFunction = plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ Qualifier: '1' }));
+        sinon.assert.callOrder(getFunction, deleteFunction);
+      });
+    });
+
+    it('should archive to S3', function() {
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: 's3://archive-bucket/prune/' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/1').resolves(Buffer.from('zip-1'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', sinon.match.any).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' },
+        Code: { Location: 'https://code/1' }
+      });
+
+      return plugin.deleteVersionsForFunction('service-FunctionA', ['1']).then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'S3', 'putObject',
+          sinon.match({ Bucket: 'archive-bucket', Key: 'prune/functions/service-FunctionA/1/code.zip' }));
+        sinon.assert.calledWith(plugin.provider.request, 'S3', 'putObject',
+          sinon.match({ Bucket: 'archive-bucket', Key: 'prune/functions/service-FunctionA/1/configuration.json' }));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ Qualifier: '1' }));
+      });
+    });
+
+    it('should not delete a version which could not be archived', function() {
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/1').resolves(Buffer.from('zip-1'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', sinon.match.any).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' },
+        Code: { Location: 'https://code/1' }
+      });
+      plugin.downloadCode.withArgs('https://code/1').rejects(new Error('Unable to download code package, status 403'));
+
+      return plugin.deleteVersionsForFunction('service-FunctionA', ['1'])
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Unable to download code package, status 403', e.message);
+          sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        });
+    });
+
+    it('should restore an archived function version', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+
+      return plugin.cliRestore().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionConfiguration',
+          sinon.match({ FunctionName: 'service-FunctionA', Handler: 'index.handler' }));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionCode',
+          { FunctionName: 'service-FunctionA', ZipFile: Buffer.from('zip-1') });
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'publishVersion',
+          sinon.match({ FunctionName: 'service-FunctionA', CodeSha256: 'sha-1' }));
+      });
+    });
+
+    it('should revert $LATEST after publishing the restored version', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+      const request = plugin.provider.request;
+
+      return plugin.cliRestore().then(() => {
+        const publishVersion = request.withArgs('Lambda', 'publishVersion', sinon.match.any);
+        const revertConfiguration = request.withArgs('Lambda', 'updateFunctionConfiguration', sinon.match({ Handler: 'latest.handler' }));
+        const revertCode = request.withArgs('Lambda', 'updateFunctionCode', { FunctionName: 'service-FunctionA', ZipFile: Buffer.from('zip-latest') });
+        sinon.assert.callOrder(publishVersion, revertConfiguration, revertCode);
+      });
+    });
+
+    it('should revert $LATEST if the restored version cannot be published', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).rejects(new Error('CodeSha256 does not match'));
+
+      return plugin.cliRestore()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('CodeSha256 does not match', e.message);
+          sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionCode',
+            { FunctionName: 'service-FunctionA', ZipFile: Buffer.from('zip-latest') });
+        });
+    });
+
+    it('should clear settings of $LATEST which the restored version did not have', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: {
+          FunctionName: 'service-FunctionA',
+          Version: '$LATEST',
+          Handler: 'latest.handler',
+          Environment: { Variables: { STAGE: 'dev' } },
+          Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-a:3' }],
+          VpcConfig: { SubnetIds: ['subnet-1'], SecurityGroupIds: ['sg-1'], VpcId: 'vpc-1' }
+        },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+
+      return plugin.cliRestore().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionConfiguration', {
+          FunctionName: 'service-FunctionA',
+          Handler: 'index.handler',
+          Environment: { Variables: {} },
+          Layers: [],
+          VpcConfig: { SubnetIds: [], SecurityGroupIds: [] }
+        });
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionConfiguration', {
+          FunctionName: 'service-FunctionA',
+          Handler: 'latest.handler',
+          Environment: { Variables: { STAGE: 'dev' } },
+          Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:layer-a:3'],
+          VpcConfig: { SubnetIds: ['subnet-1'], SecurityGroupIds: ['sg-1'] }
+        });
+      });
+    });
+
+    it('should wait for each update of $LATEST to complete before the next step', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+      const request = plugin.provider.request;
+      sinon.stub(plugin, 'wait').resolves();
+      request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any)
+        .onFirstCall().resolves({ LastUpdateStatus: 'InProgress' })
+        .onSecondCall().resolves({ LastUpdateStatus: 'Successful' });
+
+      return plugin.cliRestore().then(() => {
+        const getConfiguration = request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any);
+        const updateConfiguration = request.withArgs('Lambda', 'updateFunctionConfiguration', sinon.match({ Handler: 'index.handler' }));
+        const updateCode = request.withArgs('Lambda', 'updateFunctionCode', sinon.match({ ZipFile: Buffer.from('zip-1') }));
+        const publishVersion = request.withArgs('Lambda', 'publishVersion', sinon.match.any);
+        sinon.assert.callCount(plugin.wait, 1);
+        assert(getConfiguration.getCall(1).calledBefore(updateCode.getCall(0)));
+        assert(getConfiguration.getCall(2).calledBefore(publishVersion.getCall(0)));
+        sinon.assert.callOrder(updateConfiguration, updateCode, publishVersion);
+      });
+    });
+
+    it('should revert $LATEST if an update of it fails', function() {
+      writeArchivedVersion({ FunctionName: 'service-FunctionA', Version: '1', Handler: 'index.handler', CodeSha256: 'sha-1' }, 'zip-1');
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any)
+        .onFirstCall().resolves({ LastUpdateStatus: 'Failed', LastUpdateStatusReason: 'Subnet not found' });
+
+      return plugin.cliRestore()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Update of service-FunctionA failed: Subnet not found', e.message);
+          sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'publishVersion', sinon.match.any);
+          sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionCode',
+            { FunctionName: 'service-FunctionA', ZipFile: Buffer.from('zip-latest') });
+        });
+    });
+
+    it('should archive and restore the image of an image-based function by digest', function() {
+      const archivePlugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir }, { log: sinon.stub() });
+      archivePlugin.provider.request.withArgs('Lambda', 'getFunction', sinon.match.any).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '1', PackageType: 'Image', CodeSha256: 'sha-1' },
+        Code: {
+          ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/repository:latest',
+          ResolvedImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/repository@sha256:sha-1'
+        }
+      });
+
+      const plugin = new PrunePlugin(createMockServerless(['FunctionA']), { archive: archiveDir, function: 'FunctionA', qualifier: '1' }, { log: sinon.stub() });
+      sinon.stub(plugin, 'downloadCode').withArgs('https://code/latest').resolves(Buffer.from('zip-latest'));
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', { FunctionName: 'service-FunctionA' }).resolves({
+        Configuration: { FunctionName: 'service-FunctionA', Version: '$LATEST', Handler: 'latest.handler', CodeSha256: 'sha-latest' },
+        Code: { Location: 'https://code/latest' }
+      });
+      plugin.provider.request.withArgs('Lambda', 'getFunctionConfiguration', sinon.match.any).resolves({ LastUpdateStatus: 'Successful' });
+      plugin.provider.request.withArgs('Lambda', 'publishVersion', sinon.match.any).resolves({ Version: '8' });
+
+      return archivePlugin.deleteVersionsForFunction('service-FunctionA', ['1'])
+        .then(() => plugin.cliRestore())
+        .then(() => {
+          sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'updateFunctionCode', {
+            FunctionName: 'service-FunctionA',
+            ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/repository@sha256:sha-1'
+          });
+        });
+    });
+
+  });
+
+  describe('deleteVersionsForFunction - log streams', function() {
+
+    it('should delete the log streams of deleted versions only', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { logStreams: true } });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { continueOnError: true }, { log });
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('CloudWatchLogs', 'describeLogStreams', sinon.match(p => !p.nextToken)).resolves({
+        logStreams: [{ logStreamName: '2024/01/01/[1]abc' }, { logStreamName: '2024/01/01/[$LATEST]abc' }],
+        nextToken: 'page-2'
+      });
+      plugin.provider.request.withArgs('CloudWatchLogs', 'describeLogStreams', sinon.match({ nextToken: 'page-2' })).resolves({
+        logStreams: [{ logStreamName: '2024/01/02/[2]def' }, { logStreamName: '2024/01/02/[12]ghi' }, { logStreamName: '2024/01/03/[3]jkl' }]
+      });
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ Qualifier: '3' }))
+        .rejects({ providerError: { statusCode: 403, message: 'Access denied' }});
+      plugin.provider.request.withArgs('CloudWatchLogs', 'deleteLogStream', sinon.match.any)
+        .onFirstCall().rejects({ providerError: { statusCode: 400, code: 'ThrottlingException' }})
+        .resolves({});
+
+      return plugin.deleteVersionsForFunction('service-FunctionA', ['1', '2', '3']).then(() => {
+        const deleted = plugin.provider.request.args
+          .filter(args => args[1] === 'deleteLogStream')
+          .map(args => args[2].logStreamName);
+
+        assert.deepEqual(['2024/01/01/[1]abc', '2024/01/01/[1]abc', '2024/01/02/[2]def'], deleted);
+        sinon.assert.calledWith(plugin.provider.request, 'CloudWatchLogs', 'deleteLogStream',
+          sinon.match({ logGroupName: '/aws/lambda/service-FunctionA' }));
+        sinon.assert.calledOnce(plugin.wait);
+      });
+    });
+
+    it('should only list log streams during a dry-run', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { logStreams: true } });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('CloudWatchLogs', 'describeLogStreams', sinon.match(p => !p.nextToken)).resolves({
+        logStreams: [{ logStreamName: '2024/01/01/[1]abc' }, { logStreamName: '2024/01/01/[$LATEST]abc' }],
+        nextToken: 'page-2'
+      });
+      plugin.provider.request.withArgs('CloudWatchLogs', 'describeLogStreams', sinon.match({ nextToken: 'page-2' })).resolves({
+        logStreams: [{ logStreamName: '2024/01/02/[2]def' }, { logStreamName: '2024/01/02/[12]ghi' }, { logStreamName: '2024/01/03/[3]jkl' }]
+      });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'CloudWatchLogs', 'describeLogStreams', sinon.match.any);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'CloudWatchLogs', 'deleteLogStream', sinon.match.any);
+        sinon.assert.calledWith(log.info, '/aws/lambda/service-FunctionA:2024/01/02/[2]def selected for deletion.');
+      });
+    });
+
+  });
+
+  describe('deleteVersionsForFunction - concurrency', function() {
+
+    it('should retry throttled requests with backoff', function() {
+      const serverless = createMockServerless();
+      const plugin = new PrunePlugin(serverless, {});
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .onFirstCall().rejects({ providerError: { statusCode: 429, code: 'TooManyRequestsException' }})
+        .onSecondCall().rejects({ providerError: { statusCode: 409, code: 'ResourceConflictException' }})
+        .onThirdCall().resolves({});
+
+      return plugin.deleteVersionsForFunction('MyFunction', ['1']).then(() => {
+        sinon.assert.calledThrice(plugin.provider.request);
+        sinon.assert.calledTwice(plugin.wait);
+        assert(plugin.wait.firstCall.args[0] <= 1000);
+        assert(plugin.wait.secondCall.args[0] <= 2000);
+      });
+    });
+
+    it('should give up on throttled requests after the maximum number of attempts', function() {
+      const serverless = createMockServerless();
+      const plugin = new PrunePlugin(serverless, {});
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .rejects({ providerError: { statusCode: 429, code: 'TooManyRequestsException' }});
+
+      return plugin.deleteVersionsForFunction('MyFunction', ['1'])
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('TooManyRequestsException', e.providerError.code);
+          sinon.assert.callCount(plugin.provider.request, 8);
+        });
+    });
+
+    it('should limit the number of concurrent requests', function() {
+      const serverless = createMockServerless();
+      const plugin = new PrunePlugin(serverless, { concurrency: '3' });
+
+      let active = 0;
+      let maxActive = 0;
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any).callsFake(() => {
+        active++;
+        maxActive = Math.max(active, maxActive);
+        return new Promise(resolve => setTimeout(() => {
+          active--;
+          resolve({});
+        }, 5));
+      });
+
+      return plugin.deleteVersionsForFunction('MyFunction', ['1', '2', '3', '4', '5', '6', '7']).then(() => {
+        sinon.assert.callCount(plugin.provider.request, 7);
+        assert.equal(3, maxActive);
+      });
+    });
+
+  });
+
   describe('deleteVersionsForFunction - Lambda@Edge', function() {
 
     let serverless;
@@ -196,6 +775,44 @@ describe('Prune', function() {
 
     });
 
+    it('should retry deletion until replicas are removed if waitForReplicas flag is set', function() {
+
+      plugin.options.waitForReplicas = true;
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .onFirstCall().rejects({ providerError: { statusCode: 400, message: 'Lambda was unable to delete arn:aws:lambda:REGION:ACCOUNT_ID:function:FUNCTION_NAME:FUNCTION_VERSION because it is a replicated function. Please see our documentation for Deleting Lambda@Edge Functions and Replicas.' }})
+        .onSecondCall().resolves({});
+
+      return plugin.deleteVersionsForFunction('MyEdgeFunction', ['1']).then(() => plugin.waitForReplicaDeletion()).then(() => {
+        sinon.assert.calledOnce(plugin.wait);
+        sinon.assert.calledTwice(plugin.provider.request);
+        assert.deepEqual([], plugin.replicatedVersions);
+      });
+
+    });
+
+    it('should wait for the replicas of all versions under a single deadline', function() {
+
+      plugin.options.waitForReplicas = true;
+      sinon.stub(plugin, 'wait').resolves();
+
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .rejects({ providerError: { statusCode: 400, message: 'Lambda was unable to delete arn:aws:lambda:REGION:ACCOUNT_ID:function:FUNCTION_NAME:FUNCTION_VERSION because it is a replicated function. Please see our documentation for Deleting Lambda@Edge Functions and Replicas.' }});
+
+      return Promise.all([
+        plugin.deleteVersionsForFunction('EdgeFunctionA', ['1', '2']),
+        plugin.deleteVersionsForFunction('EdgeFunctionB', ['1'])
+      ]).then(() => plugin.waitForReplicaDeletion()).then(() => {
+        const waited = plugin.wait.args.reduce((acc, args) => acc + args[0], 0);
+        assert(waited >= 2 * 60 * 60 * 1000 && waited < 2 * 60 * 60 * 1000 + 10 * 60 * 1000);
+        sinon.assert.callCount(plugin.provider.request, 3 * (plugin.wait.callCount + 1));
+        assert.deepEqual(['EdgeFunctionA:1', 'EdgeFunctionA:2', 'EdgeFunctionB:1'],
+          plugin.replicatedVersions.map(v => `${v.functionName}:${v.version}`).sort());
+      });
+
+    });
+
     it('should fail when error while deleting regular lambda function', function(done) {
 
       plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
@@ -208,343 +825,1507 @@ describe('Prune', function() {
     });
   });
 
-  describe('pruneFunctions', function() {
+  describe('pruneFunctions - Lambda@Edge', function() {
 
-    const functionMatcher = (name) => sinon.match.has('FunctionName', name);
-    const versionMatcher = (ver) => sinon.match.has('Qualifier', ver);
+    const replicatedError = { providerError: { statusCode: 400, message: 'Lambda was unable to delete arn:aws:lambda:us-east-1:123456789012:function:service-EdgeFunction:1 because it is a replicated function.' }};
+    const edgeFunctions = { EdgeFunction: { events: [{ cloudFront: { eventType: 'viewer-request' } }] } };
+    const stateKey = 'serverless/service/dev/prune-state.json';
 
-    it('should delete old versions of functions', function() {
+    let bucket;
+    beforeEach(function() {
+      bucket = {};
+    });
 
-      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
-      const plugin = new PrunePlugin(serverless, { number: 2 });
+    it('should prune Lambda@Edge functions in us-east-1', function() {
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
-        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+      const serverless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+      stubDeploymentBucket(plugin.provider, bucket);
 
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
         .returns(createAliasResponse([]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'listVersionsByFunction', sinon.match.any, { region: 'us-east-1' });
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('Qualifier', '1'), { region: 'us-east-1' });
       });
 
     });
 
-    it('should keep requested number of version', function() {
+    it('should record replicated versions and retry them on a later run', function() {
 
-      const serverless = createMockServerless(['FunctionA'], {
-        prune: { automatic: true, number: 5 }
+      const serverless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const firstRun = new PrunePlugin(serverless, { number: 2 });
+      stubDeploymentBucket(firstRun.provider, bucket);
+
+      firstRun.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      firstRun.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      firstRun.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .rejects(replicatedError);
+
+      return firstRun.pruneFunctions().then(() => {
+        const state = JSON.parse(bucket[stateKey]);
+        assert.deepEqual([{ functionName: 'service-EdgeFunction', version: '1', region: 'us-east-1' }], state.replicatedVersions);
+
+        const laterServerless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+        laterServerless.service.service = 'service';
+        laterServerless.getProvider('aws').getRegion.returns('eu-west-1');
+        const secondRun = new PrunePlugin(laterServerless, { number: 3 });
+        stubDeploymentBucket(secondRun.provider, bucket);
+
+        //the pending version is deleted although the newer versions are within the number kept
+        secondRun.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+          .returns(createVersionsResponse([1, 2, 3, 4]));
+        secondRun.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+          .returns(createAliasResponse([]));
+
+        return secondRun.pruneFunctions().then(() => {
+          sinon.assert.calledWith(secondRun.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-EdgeFunction', Qualifier: '1' }), { region: 'us-east-1' });
+          sinon.assert.neverCalledWith(secondRun.provider.request, 'Lambda', 'deleteFunction', sinon.match({ Qualifier: '2' }));
+          assert.equal(undefined, bucket[stateKey]);
+        });
       });
-      const plugin = new PrunePlugin(serverless, { number: 3 });
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
-        .returns(createVersionsResponse([1, 2, 3, 4]));
+    });
+
+    it('should retry replicated versions in automatic pruning after a later deployment', function() {
+
+      const serverless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const firstRun = new PrunePlugin(serverless, { number: 2 });
+      stubDeploymentBucket(firstRun.provider, bucket);
+
+      firstRun.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      firstRun.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      firstRun.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any)
+        .rejects(replicatedError);
+
+      return firstRun.pruneFunctions().then(() => {
+        //a deployment empties .serverless before the automatic pruning runs
+        const deployedServerless = createMockServerless(['EdgeFunction'], { prune: { automatic: true, number: 2 } }, edgeFunctions);
+        deployedServerless.service.service = 'service';
+        deployedServerless.getProvider('aws').getRegion.returns('eu-west-1');
+        const deployment = new PrunePlugin(deployedServerless, {});
+        stubDeploymentBucket(deployment.provider, bucket);
+
+        deployment.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+          .returns(createVersionsResponse([1, 2, 3, 4]));
+        deployment.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+          .returns(createAliasResponse([]));
+
+        return deployment.postDeploy().then(() => {
+          sinon.assert.calledWith(deployment.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-EdgeFunction', Qualifier: '1' }), { region: 'us-east-1' });
+          assert.deepEqual({}, bucket);
+        });
+      });
+
+    });
 
+    it('should not load or save the state without Lambda@Edge functions', function() {
+
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2]));
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
         .returns(createAliasResponse([]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('Qualifier', '1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'S3');
+        sinon.assert.neverCalledWith(plugin.provider.request, 'CloudFormation', 'describeStackResource');
       });
 
     });
 
-    it('should not delete $LATEST version', function() {
+    it('should not delete pending versions before the pruning is confirmed', function() {
 
-      const serverless = createMockServerless(['FunctionA']);
-      const plugin = new PrunePlugin(serverless, { number: 2 });
+      bucket[stateKey] = JSON.stringify({ replicatedVersions: [{ functionName: 'service-EdgeFunction', version: '1', region: 'us-east-1' }] });
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
-        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+      const serverless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const plugin = new PrunePlugin(serverless, { number: 3 });
+      stubDeploymentBucket(plugin.provider, bucket);
+      plugin.confirmDeletion = true;
+      sinon.stub(plugin, 'prompt').resolves('n');
+      sinon.stub(plugin, 'writeText');
 
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
-        .returns(createAliasResponse([1, 3]));
+        .returns(createAliasResponse([]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('$LATEST'));
+        sinon.assert.calledWith(plugin.prompt, sinon.match('Delete 1 function version(s)'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        assert.deepEqual(['1'], JSON.parse(bucket[stateKey]).replicatedVersions.map(v => v.version));
       });
 
     });
 
-    it('should not delete aliased versions', function() {
+    it('should keep pending versions which are aliased since', function() {
 
-      const serverless = createMockServerless(['FunctionA']);
-      const plugin = new PrunePlugin(serverless, { number: 2 });
+      bucket[stateKey] = JSON.stringify({ replicatedVersions: [{ functionName: 'service-EdgeFunction', version: '1', region: 'us-east-1' }] });
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
-        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+      const serverless = createMockServerless(['EdgeFunction'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const plugin = new PrunePlugin(serverless, { number: 3 });
+      stubDeploymentBucket(plugin.provider, bucket);
 
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
-        .returns(createAliasResponse([1, 3, 4]));
+        .returns(createAliasResponse([1]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('5'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        assert.equal(undefined, bucket[stateKey]);
       });
 
     });
 
-    it('should always match delete requests to correct function', function() {
+    it('should leave pending versions of functions which are not pruned', function() {
 
-      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
-      const plugin = new PrunePlugin(serverless, { number: 2 });
-
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionA'))
-        .returns(createVersionsResponse([1]));
+      bucket[stateKey] = JSON.stringify({ replicatedVersions: [{ functionName: 'service-EdgeFunction', version: '1', region: 'us-east-1' }] });
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionB'))
-        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+      const serverless = createMockServerless(['EdgeFunction', 'FunctionB'], null, edgeFunctions);
+      serverless.service.service = 'service';
+      serverless.getProvider('aws').getRegion.returns('eu-west-1');
+      const plugin = new PrunePlugin(serverless, { number: 3 });
+      stubDeploymentBucket(plugin.provider, bucket);
 
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
         .returns(createAliasResponse([]));
 
-      return plugin.pruneFunctions().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+      const targets = plugin.getFunctionTargets().filter(t => t.key === 'FunctionB');
+      return plugin.pruneFunctions(false, targets).then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-EdgeFunction' }));
+        assert.deepEqual(['1'], JSON.parse(bucket[stateKey]).replicatedVersions.map(v => v.version));
       });
 
     });
 
-    it('should ignore functions that are not deployed', function() {
+  });
 
-      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
-      const plugin = new PrunePlugin(serverless, { number: 1 });
+  describe('pruneFunctions', function() {
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionA'))
-        .rejects({ providerError: { statusCode: 404 }});
+    const functionMatcher = (name) => sinon.match.has('FunctionName', name);
+    const versionMatcher = (ver) => sinon.match.has('Qualifier', ver);
 
-      plugin.provider.request.withArgs('Lambda', 'listAliases', functionMatcher('service-FunctionA'))
-        .rejects({ providerError: { statusCode: 404 }});
+    it('should delete old versions of functions', function() {
 
-      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionB'))
-        .returns(createVersionsResponse([1, 2, 3]));
+      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
+      const plugin = new PrunePlugin(serverless, { number: 2 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
 
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
         .returns(createAliasResponse([]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
       });
 
     });
 
-    it('should only operate on target function if specified from CLI', function() {
+    it('should keep requested number of version', function() {
 
-      const serverless = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
-      const plugin = new PrunePlugin(serverless, { function: 'FunctionA', number: 1 });
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { automatic: true, number: 5 }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 3 });
 
       plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
-        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+        .returns(createVersionsResponse([1, 2, 3, 4]));
 
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
         .returns(createAliasResponse([]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
       });
 
     });
 
-    it('should not perform any deletions if dryRun flag is set', function() {
+    it('should not delete $LATEST version', function() {
 
-      const serverless = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
-      const plugin = new PrunePlugin(serverless, {  number: 1, dryRun: true });
-      sinon.spy(plugin, 'deleteVersionsForFunction');
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 2 });
 
       plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
         .returns(createVersionsResponse([1, 2, 3, 4, 5]));
 
       plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
-        .returns(createAliasResponse([]));
+        .returns(createAliasResponse([1, 3]));
 
       return plugin.pruneFunctions().then(() => {
-        sinon.assert.notCalled(plugin.deleteVersionsForFunction);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('$LATEST'));
       });
 
     });
 
-  });
-
-  describe('pruneLayers', function() {
-    const layerMatcher = (name) => sinon.match.has('LayerName', name);
-    const versionMatcher = (ver) => sinon.match.has('VersionNumber', ver);
+    it('should not delete aliased versions', function() {
 
-    it('should delete old versions of layers', function () {
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 2 });
 
-      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB'], { prune: { includeLayers: true }});
-      const plugin = new PrunePlugin(serverless, { number: 2, includeLayers: true });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
-        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([1, 3, 4]));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('5'));
       });
 
     });
 
-    it('should keep requested number of version', function () {
+    it('should keep versions newer than keepDays', function() {
 
-      const serverless = createMockServerlessWithLayers(['LayerA'], {
-        prune: { automatic: true, number: 5, includeLayers: true },
-      });
-      const plugin = new PrunePlugin(serverless, { number: 3 });
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 1, keepDays: 14 });
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
-        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createDatedVersionsResponse({ 1: 24 * 30, 2: 24 * 20, 3: 24 * 10, 4: 24 * 5, 5: 1 }));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('4'));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('5'));
       });
 
     });
 
-    it('should always match delete requests to correct layer', function () {
+    it('should never delete versions younger than minAgeHours', function() {
 
-      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB']);
-      const plugin = new PrunePlugin(serverless, { number: 1, includeLayers: true });
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { minAgeHours: 2 }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 0 });
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerA'))
-        .returns(createLayerVersionsResponse([1]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createDatedVersionsResponse({ 1: 5, 2: 3, 3: 1, 4: 0.5 }));
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerB'))
-        .returns(createLayerVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
       });
 
     });
 
-    it('should ignore layers that are not deployed', function () {
+    it('should honor per-function number over service and CLI values', function() {
 
-      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB']);
-      const plugin = new PrunePlugin(serverless, { number: 1, includeLayers: true });
+      const serverless = createMockServerless(['FunctionA', 'FunctionB'], {
+        prune: { number: 2 }
+      }, {
+        FunctionA: { prune: { number: 4 } }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerA'))
-        .rejects({ providerError: { statusCode: 404 }});
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerB'))
-        .returns(createLayerVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      const deleteMatcher = (name, ver) => sinon.match({ FunctionName: name, Qualifier: ver });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', deleteMatcher('service-FunctionA', '1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', deleteMatcher('service-FunctionA', '2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', deleteMatcher('service-FunctionB', '4'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', deleteMatcher('service-FunctionB', '5'));
       });
 
     });
 
-    it('should only operate on target layer if specified from CLI', function () {
+    it('should not prune excluded functions', function() {
 
-      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB', 'LayerC']);
-      const plugin = new PrunePlugin(serverless, { layer: 'LayerA', includeLayers: true, number: 1 });
+      const serverless = createMockServerless(['FunctionA', 'FunctionB'], null, {
+        FunctionA: { prune: { exclude: true } }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
-        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
-        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerC'));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
       });
 
     });
 
-    it('should not perform any layer deletions if dryRun flag is set', function () {
+    it('should fail with the missing permission if event source mappings cannot be listed', function() {
 
-      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB', 'LayerC']);
-      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true, includeLayers: true });
-      sinon.spy(plugin, 'deleteVersionsForLayer');
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 0 });
 
-      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
-        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2]));
 
-      return plugin.pruneLayers().then(() => {
-        sinon.assert.notCalled(plugin.deleteVersionsForLayer);
-      });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
 
-    });
-  });
+      plugin.provider.request.withArgs('Lambda', 'listEventSourceMappings', sinon.match.any)
+        .rejects({ providerError: { statusCode: 403, code: 'AccessDeniedException', message: 'User is not authorized to perform: lambda:ListEventSourceMappings' }});
 
-  describe('postDeploy', function() {
+      return plugin.pruneFunctions()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Missing permission lambda:ListEventSourceMappings, which is required to protect versions in use: User is not authorized to perform: lambda:ListEventSourceMappings', e.message);
+          sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        });
 
-    it('should prune functions if automatic option is configured', function() {
+    });
 
-      const custom = {
-        prune: { automatic: true, number: 10 }
-      };
-      const serverlessStub = createMockServerless([], custom);
+    it('should not delete versions with provisioned concurrency or event source mappings', function() {
 
-      const plugin = new PrunePlugin(serverlessStub, {});
-      sinon.spy(plugin, 'pruneFunctions');
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 0 });
 
-      return plugin.postDeploy().then(() => {
-        sinon.assert.calledOnce(plugin.pruneFunctions);
-      });
-    });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
 
-    it('should prune all functions if automatic option is configured and number is 0', function() {
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
 
-      const custom = {
-        prune: { automatic: true, number: 0 }
-      };
-      const serverlessStub = createMockServerless([], custom);
+      plugin.provider.request.withArgs('Lambda', 'listProvisionedConcurrencyConfigs', functionMatcher('service-FunctionA'))
+        .resolves({ ProvisionedConcurrencyConfigs: [
+          { FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:2' }
+        ]});
 
-      const plugin = new PrunePlugin(serverlessStub, {});
-      sinon.spy(plugin, 'pruneFunctions');
+      plugin.provider.request.withArgs('Lambda', 'listEventSourceMappings', sinon.match.any)
+        .resolves({ EventSourceMappings: [
+          { UUID: 'a', FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:3' },
+          { UUID: 'b', FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionB:1' }
+        ]});
 
-      return plugin.postDeploy().then(() => {
-        sinon.assert.calledOnce(plugin.pruneFunctions);
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
       });
+
     });
 
-    it('should not prune functions if automatic option is configured without a number', function() {
+    it('should log protected versions with their reason during a dry-run', function() {
 
-      const custom = {
-        prune: { automatic: true }
-      };
-      const serverlessStub = createMockServerless([], custom);
+      const serverless = createMockServerless(['FunctionA']);
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 0, dryRun: true }, { log });
 
-      const plugin = new PrunePlugin(serverlessStub, {});
-      sinon.spy(plugin, 'pruneFunctions');
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2]));
 
-      return plugin.postDeploy().then(() => {
-        sinon.assert.notCalled(plugin.pruneFunctions);
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      plugin.provider.request.withArgs('Lambda', 'listProvisionedConcurrencyConfigs', sinon.match.any)
+        .resolves({ ProvisionedConcurrencyConfigs: [
+          { FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:2' }
+        ]});
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(log.info, 'service-FunctionA:2 protected (provisioned concurrency).');
+        sinon.assert.calledWith(log.info, 'service-FunctionA:1 selected for deletion.');
       });
+
     });
 
-    it('should not prune functions if noDeploy flag is set', function() {
+    it('should not delete versions receiving weighted alias traffic', function() {
 
-      const serverlessStub = createMockServerless([], null);
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 1 });
 
-      const options = { noDeploy: true };
-      const plugin = new PrunePlugin(serverlessStub, options);
-      sinon.spy(plugin, 'pruneFunctions');
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
 
-      return plugin.postDeploy().then(() => {
-        sinon.assert.notCalled(plugin.pruneFunctions);
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [
+          { Name: 'live', FunctionVersion: '4', RoutingConfig: { AdditionalVersionWeights: { '2': 0.1 } } }
+        ]});
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
       });
+
     });
 
-    it('should not prune layers if no option is set', function() {
-      const serverlessStub = createMockServerlessWithLayers([], null);
+    it('should not delete versions referenced by the deployed stack', function() {
 
-      const options = { automatic: true };
-      const plugin = new PrunePlugin(serverlessStub, options);
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 0 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      plugin.provider.request.withArgs('CloudFormation', 'getTemplate', sinon.match.has('StackName', 'service-dev'))
+        .resolves({ TemplateBody: JSON.stringify({ Resources: { Integration: { Properties: {
+          Uri: 'arn:aws:apigateway:us-east-1:lambda:path/2015-03-31/functions/arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:2/invocations'
+        }}}})});
+
+      plugin.provider.request.withArgs('CloudFormation', 'listStackResources', sinon.match.has('StackName', 'service-dev'))
+        .resolves({ StackResourceSummaries: [
+          { LogicalResourceId: 'FunctionALambdaVersion', PhysicalResourceId: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:5' },
+          { LogicalResourceId: 'FunctionBLambdaVersion', PhysicalResourceId: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionB:1' }
+        ]});
+
+      plugin.provider.request.withArgs('CloudFormation', 'describeStacks', sinon.match.has('StackName', 'service-dev'))
+        .resolves({ Stacks: [{ Outputs: [
+          { OutputKey: 'EdgeArn', OutputValue: 'arn:aws:lambda:us-east-1:123456789012:function:service-FunctionA:3' }
+        ]}]});
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('5'));
+      });
+
+    });
+
+    it('should fail with the missing permission if the stack template cannot be read', function() {
+
+      const serverless = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverless, { number: 0 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      plugin.provider.request.withArgs('CloudFormation', 'getTemplate', sinon.match.any)
+        .rejects({ providerError: { statusCode: 403, code: 'AccessDenied', message: 'User is not authorized to perform: cloudformation:GetTemplate' }});
+
+      return plugin.pruneFunctions()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Missing permission cloudformation:GetTemplate, which is required to protect versions in use: User is not authorized to perform: cloudformation:GetTemplate', e.message);
+          sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        });
+
+    });
+
+    it('should ignore stack references if the stack is not deployed', function() {
+
+      const serverless = createMockServerless(['FunctionA']);
+      const log = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1 }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      plugin.provider.request.withArgs('CloudFormation', sinon.match.any, sinon.match.any)
+        .rejects(new Error('Stack with id service-dev does not exist'));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.calledWith(log, 'Prune: Stack service-dev not found, versions it references cannot be protected.');
+      });
+
+    });
+
+    it('should not delete versions used by recent deployments when keepRollbackDeployments is set', function() {
+
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { keepRollbackDeployments: 2 }
+      });
+      serverless.service.service = 'service';
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .resolves({ Versions: [1, 2, 3, 4, 5].map(v => ({ Version: '' + v, CodeSha256: `sha-${v}` })) });
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      stubDeploymentTemplates(plugin.provider, {
+        '1500000000000-2017-07-14T02:40:00.000Z': createDeploymentTemplate('service-FunctionA', 'sha-1'),
+        '1600000000000-2020-09-13T12:26:40.000Z': createDeploymentTemplate('service-FunctionA', 'sha-2'),
+        '1700000000000-2023-11-14T22:13:20.000Z': createDeploymentTemplate('service-FunctionA', 'sha-3')
+      });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('3'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('4'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('5'));
+      });
+
+    });
+
+    it('should not prune functions matching exclude rules', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB', 'LegacyC'], {
+        prune: { exclude: ['FunctionA', 'service-Legacy*'] }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-LegacyC'));
+        assert.deepEqual([{ reason: 'excluded by rule service-Legacy*' }], plugin.report.functions.find(f => f.name === 'service-LegacyC').skipped);
+      });
+
+    });
+
+    it('should not prune functions with excluded tags', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB'], {
+        prune: { exclude: [{ tags: { RETAIN: true } }] }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', functionMatcher('service-FunctionA'))
+        .resolves({ Tags: { RETAIN: 'true' } });
+
+      plugin.provider.request.withArgs('Lambda', 'getFunction', functionMatcher('service-FunctionB'))
+        .resolves({ Tags: { RETAIN: 'false' } });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+      });
+
+    });
+
+    it('should not delete versions matching protect rules', function() {
+
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { protect: [{ description: 'release-*' }] }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .resolves({ Versions: [
+          { Version: '1', Description: 'release-1.0.0' },
+          { Version: '2', Description: 'build 2' },
+          { Version: '3', Description: 'build 3' }
+        ]});
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('1'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', versionMatcher('2'));
+        assert.deepEqual({ version: '1', reasons: ['protect rule description release-*'] }, plugin.report.functions[0].kept[1]);
+      });
+
+    });
+
+    it('should always match delete requests to correct function', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
+      const plugin = new PrunePlugin(serverless, { number: 2 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionA'))
+        .returns(createVersionsResponse([1]));
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionB'))
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+      });
+
+    });
+
+    it('should ignore functions that are not deployed', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB']);
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionA'))
+        .rejects({ providerError: { statusCode: 404 }});
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', functionMatcher('service-FunctionA'))
+        .rejects({ providerError: { statusCode: 404 }});
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', functionMatcher('service-FunctionB'))
+        .returns(createVersionsResponse([1, 2, 3]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+      });
+
+    });
+
+    it('should only operate on target function if specified from CLI', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
+      const plugin = new PrunePlugin(serverless, { function: 'FunctionA', number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionA'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', functionMatcher('service-FunctionB'));
+      });
+
+    });
+
+    it('should not perform any deletions if dryRun flag is set', function() {
+
+      const serverless = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
+      const plugin = new PrunePlugin(serverless, {  number: 1, dryRun: true });
+      sinon.spy(plugin, 'deleteVersionsForFunction');
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4, 5]));
+
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.notCalled(plugin.deleteVersionsForFunction);
+      });
+
+    });
+
+  });
+
+  describe('pruneFunctions - images', function() {
+
+    it('should delete images which no remaining version uses', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { images: true } }, { FunctionA: { image: 'appimage' } });
+      serverless.service.service = 'service';
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1 }, { log });
+
+      const versions = [
+        { Version: '$LATEST', CodeSha256: 'aaa' },
+        { Version: '1', CodeSha256: 'bbb' },
+        { Version: '2', CodeSha256: 'ccc' },
+        { Version: '3', CodeSha256: 'aaa' }
+      ];
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .onFirstCall().resolves({ Versions: versions })
+        .resolves({ Versions: [versions[0], versions[3]] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('ECR', 'describeImages', sinon.match({ repositoryName: 'serverless-service-dev' })).resolves({
+        imageDetails: ['aaa', 'bbb', 'ccc', 'ddd'].map(digest => ({ imageDigest: `sha256:${digest}`, imagePushedAt: new Date(0) })).concat(
+          { imageDigest: 'sha256:eee', imageTags: ['appimage'], imagePushedAt: new Date(0) },
+          { imageDigest: 'sha256:fff', imagePushedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        )
+      });
+      plugin.provider.request.withArgs('ECR', 'batchDeleteImage', sinon.match.any).resolves({ failures: [] });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'ECR', 'batchDeleteImage', {
+          repositoryName: 'serverless-service-dev',
+          imageIds: [{ imageDigest: 'sha256:bbb' }, { imageDigest: 'sha256:ccc' }, { imageDigest: 'sha256:ddd' }]
+        });
+      });
+    });
+
+    it('should keep tagged and recently pushed images', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { images: true } }, { FunctionA: { image: 'appimage' } });
+      serverless.service.service = 'service';
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+
+      const versions = [
+        { Version: '$LATEST', CodeSha256: 'aaa' },
+        { Version: '1', CodeSha256: 'bbb' },
+        { Version: '2', CodeSha256: 'ccc' },
+        { Version: '3', CodeSha256: 'aaa' }
+      ];
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .onFirstCall().resolves({ Versions: versions })
+        .resolves({ Versions: versions });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('ECR', 'describeImages', sinon.match({ repositoryName: 'serverless-service-dev' })).resolves({
+        imageDetails: ['aaa', 'bbb', 'ccc', 'ddd'].map(digest => ({ imageDigest: `sha256:${digest}`, imagePushedAt: new Date(0) })).concat(
+          { imageDigest: 'sha256:eee', imageTags: ['appimage'], imagePushedAt: new Date(0) },
+          { imageDigest: 'sha256:fff', imagePushedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        )
+      });
+      plugin.provider.request.withArgs('ECR', 'batchDeleteImage', sinon.match.any).resolves({ failures: [] });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(log.info, 'serverless-service-dev@sha256:ddd selected for deletion.');
+        sinon.assert.neverCalledWith(log.info, 'serverless-service-dev@sha256:eee selected for deletion.');
+        sinon.assert.neverCalledWith(log.info, 'serverless-service-dev@sha256:fff selected for deletion.');
+      });
+    });
+
+    it('should only list unused images during a dry-run', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { images: true } }, { FunctionA: { image: 'appimage' } });
+      serverless.service.service = 'service';
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+
+      const versions = [
+        { Version: '$LATEST', CodeSha256: 'aaa' },
+        { Version: '1', CodeSha256: 'bbb' },
+        { Version: '2', CodeSha256: 'ccc' },
+        { Version: '3', CodeSha256: 'aaa' }
+      ];
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .onFirstCall().resolves({ Versions: versions })
+        .resolves({ Versions: versions });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('ECR', 'describeImages', sinon.match({ repositoryName: 'serverless-service-dev' })).resolves({
+        imageDetails: ['aaa', 'bbb', 'ccc', 'ddd'].map(digest => ({ imageDigest: `sha256:${digest}`, imagePushedAt: new Date(0) })).concat(
+          { imageDigest: 'sha256:eee', imageTags: ['appimage'], imagePushedAt: new Date(0) },
+          { imageDigest: 'sha256:fff', imagePushedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        )
+      });
+      plugin.provider.request.withArgs('ECR', 'batchDeleteImage', sinon.match.any).resolves({ failures: [] });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'ECR', 'batchDeleteImage', sinon.match.any);
+        sinon.assert.calledWith(log.info, 'serverless-service-dev@sha256:bbb selected for deletion.');
+        sinon.assert.calledWith(log.info, 'serverless-service-dev@sha256:ddd selected for deletion.');
+        sinon.assert.neverCalledWith(log.info, 'serverless-service-dev@sha256:aaa selected for deletion.');
+      });
+    });
+
+    it('should include images in the confirmation and keep them if it is declined', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { images: true } }, { FunctionA: { image: 'appimage' } });
+      serverless.service.service = 'service';
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1 }, { log });
+
+      const versions = [
+        { Version: '$LATEST', CodeSha256: 'aaa' },
+        { Version: '1', CodeSha256: 'bbb' },
+        { Version: '2', CodeSha256: 'ccc' },
+        { Version: '3', CodeSha256: 'aaa' }
+      ];
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .onFirstCall().resolves({ Versions: versions })
+        .resolves({ Versions: [versions[0], versions[3]] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('ECR', 'describeImages', sinon.match({ repositoryName: 'serverless-service-dev' })).resolves({
+        imageDetails: ['aaa', 'bbb', 'ccc', 'ddd'].map(digest => ({ imageDigest: `sha256:${digest}`, imagePushedAt: new Date(0) })).concat(
+          { imageDigest: 'sha256:eee', imageTags: ['appimage'], imagePushedAt: new Date(0) },
+          { imageDigest: 'sha256:fff', imagePushedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        )
+      });
+      plugin.provider.request.withArgs('ECR', 'batchDeleteImage', sinon.match.any).resolves({ failures: [] });
+      plugin.confirmDeletion = true;
+      sinon.stub(plugin, 'prompt').resolves('n');
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.prompt, sinon.match('Delete 2 function version(s) and 3 image(s)'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'ECR', 'batchDeleteImage', sinon.match.any);
+      });
+    });
+
+    it('should keep images of versions which failed to delete', function() {
+      const serverless = createMockServerless(['FunctionA'], { prune: { images: true } }, { FunctionA: { image: 'appimage' } });
+      serverless.service.service = 'service';
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, continueOnError: true }, { log });
+
+      const versions = [
+        { Version: '$LATEST', CodeSha256: 'aaa' },
+        { Version: '1', CodeSha256: 'bbb' },
+        { Version: '2', CodeSha256: 'ccc' },
+        { Version: '3', CodeSha256: 'aaa' }
+      ];
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .onFirstCall().resolves({ Versions: versions })
+        .onThirdCall().resolves({ Versions: [versions[0], versions[1], versions[3]] })
+        .resolves({ Versions: [versions[0], versions[3]] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('ECR', 'describeImages', sinon.match({ repositoryName: 'serverless-service-dev' })).resolves({
+        imageDetails: ['aaa', 'bbb', 'ccc', 'ddd'].map(digest => ({ imageDigest: `sha256:${digest}`, imagePushedAt: new Date(0) })).concat(
+          { imageDigest: 'sha256:eee', imageTags: ['appimage'], imagePushedAt: new Date(0) },
+          { imageDigest: 'sha256:fff', imagePushedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        )
+      });
+      plugin.provider.request.withArgs('ECR', 'batchDeleteImage', sinon.match.any).resolves({ failures: [] });
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ Qualifier: '1' }))
+        .rejects(new Error('AccessDenied'));
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'ECR', 'batchDeleteImage', {
+          repositoryName: 'serverless-service-dev',
+          imageIds: [{ imageDigest: 'sha256:ccc' }, { imageDigest: 'sha256:ddd' }]
+        });
+      });
+    });
+
+  });
+
+  describe('pruneFunctions - stale aliases', function() {
+
+    it('should delete stale aliases before pruning the versions they pinned', function() {
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { aliases: { names: ['pr-*'], keep: ['pr-keep'], maxAgeDays: 7 } }
+      });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1 }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createDatedVersionsResponse({ 1: 30 * 24, 2: 20 * 24, 3: 10 * 24, 4: 24, 5: 1 }));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any).resolves({ Aliases: [
+        { Name: 'pr-1', FunctionVersion: '1' },
+        { Name: 'pr-2', FunctionVersion: '2' },
+        { Name: 'pr-keep', FunctionVersion: '3' },
+        { Name: 'pr-4', FunctionVersion: '4' },
+        { Name: 'live', FunctionVersion: '1' }
+      ] });
+
+      return plugin.pruneFunctions().then(() => {
+        const deletes = plugin.provider.request.args
+          .filter(args => args[1] === 'deleteAlias' || args[1] === 'deleteFunction')
+          .map(args => `${args[1]} ${args[2].Name || args[2].Qualifier}`);
+
+        assert.deepEqual(['deleteAlias pr-1', 'deleteAlias pr-2', 'deleteFunction 2'], deletes);
+      });
+    });
+
+    it('should show alias and version deletions during a dry-run', function() {
+      const serverless = createMockServerless(['FunctionA'], {
+        prune: { aliases: { names: ['pr-*'], keep: ['pr-keep'], maxAgeDays: 7 } }
+      });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createDatedVersionsResponse({ 1: 30 * 24, 2: 20 * 24, 3: 10 * 24, 4: 24, 5: 1 }));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any).resolves({ Aliases: [
+        { Name: 'pr-1', FunctionVersion: '1' },
+        { Name: 'pr-2', FunctionVersion: '2' },
+        { Name: 'pr-keep', FunctionVersion: '3' },
+        { Name: 'pr-4', FunctionVersion: '4' },
+        { Name: 'live', FunctionVersion: '1' }
+      ] });
+
+      return plugin.pruneFunctions().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteAlias', sinon.match.any);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        sinon.assert.calledWith(log.info, 'service-FunctionA:pr-1 alias selected for deletion.');
+        sinon.assert.calledWith(log.info, 'service-FunctionA:pr-2 alias selected for deletion.');
+        sinon.assert.calledWith(log.info, 'service-FunctionA:2 selected for deletion.');
+      });
+    });
+
+  });
+
+  describe('pruneLayers', function() {
+    const layerMatcher = (name) => sinon.match.has('LayerName', name);
+    const versionMatcher = (ver) => sinon.match.has('VersionNumber', ver);
+
+    it('should delete old versions of layers', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB'], { prune: { includeLayers: true }});
+      const plugin = new PrunePlugin(serverless, { number: 2, includeLayers: true });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+      });
+
+    });
+
+    it('should keep requested number of version', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA'], {
+        prune: { automatic: true, number: 5, includeLayers: true },
+      });
+      const plugin = new PrunePlugin(serverless, { number: 3 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('4'));
+      });
+
+    });
+
+    it('should keep layer versions newer than keepDays', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA'], {
+        prune: { number: 1, keepDays: 1 }
+      });
+      const plugin = new PrunePlugin(serverless, {});
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .resolves({ LayerVersions: [
+          { Version: '1', CreatedDate: hoursAgo(72) },
+          { Version: '2', CreatedDate: hoursAgo(12) },
+          { Version: '3', CreatedDate: hoursAgo(1) }
+        ]});
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+      });
+
+    });
+
+    it('should honor per-layer number and exclude settings', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB', 'LayerC'], null, {
+        LayerA: { prune: { number: 3 } },
+        LayerB: { prune: { exclude: true } }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      const deleteMatcher = (name, ver) => sinon.match({ LayerName: name, VersionNumber: ver });
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', deleteMatcher('layer-LayerA', '1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', deleteMatcher('layer-LayerA', '2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', deleteMatcher('layer-LayerC', '3'));
+      });
+
+    });
+
+    it('should honor per-layer settings under custom.prune.layers', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB'], {
+        prune: { layers: { LayerA: { number: 3 }, LayerB: { exclude: true } } }
+      }, {
+        LayerA: { prune: { number: 2 } }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      const deleteMatcher = (name, ver) => sinon.match({ LayerName: name, VersionNumber: ver });
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', deleteMatcher('layer-LayerA', '1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', deleteMatcher('layer-LayerA', '2'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      });
+
+    });
+
+    it('should not delete layer versions used by recent deployments when keepRollbackDeployments is set', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA'], {
+        prune: { keepRollbackDeployments: 1 }
+      });
+      serverless.service.service = 'service';
+      const plugin = new PrunePlugin(serverless, { number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.has('FunctionName', 'service-FunctionA'))
+        .resolves({ Versions: [
+          { Version: '7', CodeSha256: 'sha-7', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:2' }] }
+        ]});
+
+      stubDeploymentTemplates(plugin.provider, {
+        '1700000000000-2023-11-14T22:13:20.000Z': createDeploymentTemplate('service-FunctionA', 'sha-7', [
+          'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:1'
+        ])
+      });
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('4'));
+      });
+
+    });
+
+    it('should not delete layer versions attached to functions', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA']);
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+        .resolves({ NextMarker: 'next', Functions: [
+          { FunctionName: 'other-service-a', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:1' }] }
+        ]});
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.has('Marker', 'next'))
+        .resolves({ Functions: [
+          { FunctionName: 'other-service-b', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:1' }] },
+          { FunctionName: 'other-service-c', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerB:2' }] }
+        ]});
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(log.info, 'layer-LayerA:3 selected for deletion.');
+        sinon.assert.calledWith(log.info, 'layer-LayerA:2 selected for deletion.');
+        sinon.assert.neverCalledWith(log.info, 'layer-LayerA:1 selected for deletion.');
+        sinon.assert.calledWith(log.info, 'layer-LayerA:1 protected (used by function other-service-a, used by function other-service-b).');
+      });
+
+    });
+
+    it('should not delete layer versions used only by published function versions', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA']);
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4]));
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+        .resolves({ Functions: [
+          { FunctionName: 'service-FunctionA', Version: '$LATEST', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:3' }] },
+          { FunctionName: 'service-FunctionA', Version: '7', Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer-LayerA:1' }] }
+        ]});
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'listFunctions', { FunctionVersion: 'ALL' });
+        sinon.assert.calledWith(log.info, 'layer-LayerA:2 selected for deletion.');
+        sinon.assert.neverCalledWith(log.info, 'layer-LayerA:1 selected for deletion.');
+        sinon.assert.calledWith(log.info, 'layer-LayerA:1 protected (used by function service-FunctionA:7).');
+      });
+
+    });
+
+    it('should enforce exclude and protect rules for layers', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB'], {
+        prune: {
+          exclude: ['LayerB'],
+          protect: [{ description: '/^release-/' }, { runtime: 'python2.*' }]
+        }
+      });
+      const plugin = new PrunePlugin(serverless, { number: 0 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .resolves({ LayerVersions: [
+          { Version: '1', Description: 'release-1', CompatibleRuntimes: ['python3.9'] },
+          { Version: '2', Description: 'build 2', CompatibleRuntimes: ['python2.7'] },
+          { Version: '3', Description: 'build 3', CompatibleRuntimes: ['python3.9'] }
+        ]});
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('1'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('2'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', versionMatcher('3'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      });
+
+    });
+
+    it('should always match delete requests to correct layer', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB']);
+      const plugin = new PrunePlugin(serverless, { number: 1, includeLayers: true });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerA'))
+        .returns(createLayerVersionsResponse([1]));
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerB'))
+        .returns(createLayerVersionsResponse([1, 2, 3]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      });
+
+    });
+
+    it('should ignore layers that are not deployed', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB']);
+      const plugin = new PrunePlugin(serverless, { number: 1, includeLayers: true });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerA'))
+        .rejects({ providerError: { statusCode: 404 }});
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', layerMatcher('layer-LayerB'))
+        .returns(createLayerVersionsResponse([1, 2, 3]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+      });
+
+    });
+
+    it('should only operate on target layer if specified from CLI', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB', 'LayerC']);
+      const plugin = new PrunePlugin(serverless, { layer: 'LayerA', includeLayers: true, number: 1 });
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerA'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerB'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteLayerVersion', layerMatcher('layer-LayerC'));
+      });
+
+    });
+
+    it('should not perform any layer deletions if dryRun flag is set', function () {
+
+      const serverless = createMockServerlessWithLayers(['LayerA', 'LayerB', 'LayerC']);
+      const plugin = new PrunePlugin(serverless, { number: 1, dryRun: true, includeLayers: true });
+      sinon.spy(plugin, 'deleteVersionsForLayer');
+
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .returns(createLayerVersionsResponse([1, 2, 3, 4, 5]));
+
+      return plugin.pruneLayers().then(() => {
+        sinon.assert.notCalled(plugin.deleteVersionsForLayer);
+      });
+
+    });
+  });
+
+  describe('pruneStateMachines', function() {
+
+    const stateMachineArn = 'arn:aws:states:us-east-1:123456789012:stateMachine:service-dev-flow';
+
+    it('should delete old state machine versions, keeping versions routed to by an alias', function() {
+      const serverless = createMockServerless([], { prune: { includeStateMachines: true } });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 2 }, { log });
+
+      plugin.provider.request.withArgs('CloudFormation', 'listStackResources', sinon.match.any).resolves({ StackResourceSummaries: [
+        { LogicalResourceId: 'FlowStepFunctionsStateMachine', ResourceType: 'AWS::StepFunctions::StateMachine', PhysicalResourceId: stateMachineArn },
+        { LogicalResourceId: 'FunctionALambdaFunction', ResourceType: 'AWS::Lambda::Function', PhysicalResourceId: 'service-dev-FunctionA' }
+      ] });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineVersions', sinon.match(p => !p.nextToken)).resolves({
+        stateMachineVersions: [5, 4, 3].map(v => ({ stateMachineVersionArn: `${stateMachineArn}:${v}`, creationDate: new Date() })),
+        nextToken: 'page-2'
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineVersions', sinon.match({ nextToken: 'page-2' })).resolves({
+        stateMachineVersions: [2, 1].map(v => ({ stateMachineVersionArn: `${stateMachineArn}:${v}`, creationDate: new Date() }))
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineAliases', sinon.match.any).resolves({
+        stateMachineAliases: [{ stateMachineAliasArn: `${stateMachineArn}:live` }]
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'describeStateMachineAlias', sinon.match.any).resolves({
+        name: 'live',
+        routingConfiguration: [
+          { stateMachineVersionArn: `${stateMachineArn}:2`, weight: 90 },
+          { stateMachineVersionArn: `${stateMachineArn}:1`, weight: 10 }
+        ]
+      });
+
+      return plugin.cliPrune().then(() => {
+        const deleted = plugin.provider.request.args
+          .filter(args => args[1] === 'deleteStateMachineVersion')
+          .map(args => args[2].stateMachineVersionArn);
+
+        assert.deepEqual([`${stateMachineArn}:3`], deleted);
+        assert.deepEqual([
+          { version: '5', reasons: ['count'] },
+          { version: '4', reasons: ['count'] },
+          { version: '2', reasons: ['alias live'] },
+          { version: '1', reasons: ['alias live'] }
+        ], plugin.report.stateMachines[0].kept);
+      });
+    });
+
+    it('should not delete state machine versions during a dry-run', function() {
+      const serverless = createMockServerless([], { prune: { includeStateMachines: true } });
+      const log = sinon.stub();
+      log.info = sinon.stub();
+      const plugin = new PrunePlugin(serverless, { number: 2, dryRun: true }, { log });
+
+      plugin.provider.request.withArgs('CloudFormation', 'listStackResources', sinon.match.any).resolves({ StackResourceSummaries: [
+        { LogicalResourceId: 'FlowStepFunctionsStateMachine', ResourceType: 'AWS::StepFunctions::StateMachine', PhysicalResourceId: stateMachineArn },
+        { LogicalResourceId: 'FunctionALambdaFunction', ResourceType: 'AWS::Lambda::Function', PhysicalResourceId: 'service-dev-FunctionA' }
+      ] });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineVersions', sinon.match(p => !p.nextToken)).resolves({
+        stateMachineVersions: [5, 4, 3].map(v => ({ stateMachineVersionArn: `${stateMachineArn}:${v}`, creationDate: new Date() })),
+        nextToken: 'page-2'
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineVersions', sinon.match({ nextToken: 'page-2' })).resolves({
+        stateMachineVersions: [2, 1].map(v => ({ stateMachineVersionArn: `${stateMachineArn}:${v}`, creationDate: new Date() }))
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'listStateMachineAliases', sinon.match.any).resolves({
+        stateMachineAliases: [{ stateMachineAliasArn: `${stateMachineArn}:live` }]
+      });
+      plugin.provider.request.withArgs('StepFunctions', 'describeStateMachineAlias', sinon.match.any).resolves({
+        name: 'live',
+        routingConfiguration: [
+          { stateMachineVersionArn: `${stateMachineArn}:2`, weight: 90 },
+          { stateMachineVersionArn: `${stateMachineArn}:1`, weight: 10 }
+        ]
+      });
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'StepFunctions', 'deleteStateMachineVersion', sinon.match.any);
+        sinon.assert.calledWith(log.info, 'service-dev-flow:3 selected for deletion.');
+      });
+    });
+
+    it('should not prune state machines unless included', function() {
+      const serverless = createMockServerless([]);
+      const plugin = new PrunePlugin(serverless, { number: 2 });
+      sinon.spy(plugin, 'pruneStateMachines');
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.notCalled(plugin.pruneStateMachines);
+      });
+    });
+
+  });
+
+  describe('postDeploy', function() {
+
+    it('should prune functions if automatic option is configured', function() {
+
+      const custom = {
+        prune: { automatic: true, number: 10 }
+      };
+      const serverlessStub = createMockServerless([], custom);
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      sinon.spy(plugin, 'pruneFunctions');
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.calledOnce(plugin.pruneFunctions);
+      });
+    });
+
+    it('should prune all functions if automatic option is configured and number is 0', function() {
+
+      const custom = {
+        prune: { automatic: true, number: 0 }
+      };
+      const serverlessStub = createMockServerless([], custom);
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      sinon.spy(plugin, 'pruneFunctions');
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.calledOnce(plugin.pruneFunctions);
+      });
+    });
+
+    it('should not prune functions if automatic option is configured without a number', function() {
+
+      const custom = {
+        prune: { automatic: true }
+      };
+      const serverlessStub = createMockServerless([], custom);
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      sinon.spy(plugin, 'pruneFunctions');
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.notCalled(plugin.pruneFunctions);
+      });
+    });
+
+    it('should skip functions with automatic pruning disabled', function() {
+
+      const custom = {
+        prune: { automatic: true, number: 1 }
+      };
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], custom, {
+        FunctionA: { prune: { automatic: false } }
+      });
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionB'));
+      });
+    });
+
+    it('should prune functions opting in to automatic pruning', function() {
+
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], null, {
+        FunctionA: { prune: { automatic: true, number: 2 } }
+      });
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '1' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionB'));
+      });
+    });
+
+    it('should only prune functions automatically for stages configured to do so', function() {
+
+      const custom = {
+        prune: {
+          number: 1,
+          stages: { prod: { automatic: true } }
+        }
+      };
+      const devStub = createMockServerless([], custom);
+      const devPlugin = new PrunePlugin(devStub, {});
+      sinon.spy(devPlugin, 'pruneFunctions');
+
+      const prodStub = createMockServerless([], custom);
+      prodStub.getProvider('aws').getStage.returns('prod');
+      const prodPlugin = new PrunePlugin(prodStub, { stage: 'prod' });
+      sinon.spy(prodPlugin, 'pruneFunctions');
+
+      return Promise.all([devPlugin.postDeploy(), prodPlugin.postDeploy()]).then(() => {
+        sinon.assert.notCalled(devPlugin.pruneFunctions);
+        sinon.assert.calledOnce(prodPlugin.pruneFunctions);
+      });
+    });
+
+    it('should skip functions with an active weighted alias', function() {
+
+      const custom = {
+        prune: { automatic: true, number: 1 }
+      };
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], custom);
+
+      const plugin = new PrunePlugin(serverlessStub, {});
+      sinon.spy(plugin, 'logWarning');
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.has('FunctionName', 'service-FunctionA'))
+        .resolves({ Aliases: [
+          { Name: 'live', FunctionVersion: '3', RoutingConfig: { AdditionalVersionWeights: { '2': 0.5 } } }
+        ]});
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.has('FunctionName', 'service-FunctionB'))
+        .returns(createAliasResponse([]));
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionA'));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionB'));
+        sinon.assert.calledWithMatch(plugin.logWarning, 'alias live is shifting traffic');
+      });
+    });
+
+    it('should not prune functions if noDeploy flag is set', function() {
+
+      const serverlessStub = createMockServerless([], null);
+
+      const options = { noDeploy: true };
+      const plugin = new PrunePlugin(serverlessStub, options);
+      sinon.spy(plugin, 'pruneFunctions');
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.notCalled(plugin.pruneFunctions);
+      });
+    });
+
+    it('should not prune layers if no option is set', function() {
+      const serverlessStub = createMockServerlessWithLayers([], null);
+
+      const options = { automatic: true };
+      const plugin = new PrunePlugin(serverlessStub, options);
       sinon.spy(plugin, 'pruneLayers');
 
       return plugin.postDeploy().then(() => {
@@ -552,14 +2333,120 @@ describe('Prune', function() {
       });
     });
 
-  });
+  });
+
+  describe('pruneStorage', function() {
+
+    const MB = 1024 * 1024;
+
+    function deletedVersions(plugin) {
+      return plugin.provider.request.args
+        .filter(args => args[1] === 'deleteFunction')
+        .map(args => `${args[2].FunctionName}:${args[2].Qualifier}`);
+    }
+
+    it('should prune the oldest unprotected versions across functions until the service is below its target', function() {
+      //700 MB in use, with a target of 600 MB
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], { prune: { maxServiceStorage: 600 / 1024 } });
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionA' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-01T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-03T00:00:00.000+0000' },
+        { Version: '3', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionB' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-02T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionA' }))
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '1' }] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionB' }))
+        .resolves({ Aliases: [] });
+
+      return plugin.cliPrune().then(() => {
+        assert.deepEqual(['service-FunctionB:1'], deletedVersions(plugin));
+        assert.deepEqual([{ version: '2', reasons: ['storage target'] }], plugin.report.functions
+          .find(e => e.name === 'service-FunctionA').kept.filter(k => k.reasons[0] === 'storage target'));
+      });
+    });
+
+    it('should not delete versions if the account is within its target', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], { prune: { maxAccountStorage: 60 } });
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionA' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-01T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-03T00:00:00.000+0000' },
+        { Version: '3', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionB' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-02T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionA' }))
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '1' }] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionB' }))
+        .resolves({ Aliases: [] });
+      plugin.provider.request.withArgs('Lambda', 'getAccountSettings', sinon.match.any)
+        .resolves({ AccountUsage: { TotalCodeSize: 50 * 1024 * MB }, AccountLimit: { TotalCodeSize: 75 * 1024 * MB } });
+
+      return plugin.cliPrune().then(() => {
+        assert.deepEqual([], deletedVersions(plugin));
+      });
+    });
+
+    it('should delete all unprotected versions if the account target cannot be reached', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB'], { prune: { maxAccountStorage: 60 } });
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionA' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-01T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-03T00:00:00.000+0000' },
+        { Version: '3', CodeSize: 100 * MB, LastModified: '2024-01-05T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-FunctionB' })).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 100 * MB, LastModified: '2024-01-02T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 100 * MB, LastModified: '2024-01-04T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionA' }))
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '1' }] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match({ FunctionName: 'service-FunctionB' }))
+        .resolves({ Aliases: [] });
+      plugin.provider.request.withArgs('Lambda', 'getAccountSettings', sinon.match.any)
+        .resolves({ AccountUsage: { TotalCodeSize: 70 * 1024 * MB }, AccountLimit: { TotalCodeSize: 75 * 1024 * MB } });
+
+      return plugin.cliPrune().then(() => {
+        assert.deepEqual(['service-FunctionA:2', 'service-FunctionB:1'], deletedVersions(plugin).sort());
+      });
+    });
+
+  });
+
+  describe('cliPrune', function() {
+
+    it('should reject invalid numeric options', function() {
+      const serverlessStub = createMockServerless([], null);
+
+      const plugin = new PrunePlugin(serverlessStub, { number: 'three' });
 
-  describe('cliPrune', function() {
+      assert.throws(() => plugin.cliPrune(), /Invalid value "three" for --number, expected a whole number\./);
+
+      const concurrencyPlugin = new PrunePlugin(serverlessStub, { number: '3', concurrency: '0' });
+
+      assert.throws(() => concurrencyPlugin.cliPrune(), /Invalid value "0" for --concurrency/);
+    });
 
     it('should only prune functions if no additional options are provided', function() {
       const serverlessStub = createMockServerless([], null);
 
-      const plugin = new PrunePlugin(serverlessStub, {});
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 });
       sinon.spy(plugin, 'pruneFunctions');
       sinon.spy(plugin, 'pruneLayers');
 
@@ -572,7 +2459,7 @@ describe('Prune', function() {
     it('should prune functions and layers if includeLayers flag is provided', function() {
       const serverlessStub = createMockServerlessWithLayers([], null);
 
-      const plugin = new PrunePlugin(serverlessStub, { includeLayers: true });
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, includeLayers: true });
       sinon.spy(plugin, 'pruneFunctions');
       sinon.spy(plugin, 'pruneLayers');
 
@@ -584,6 +2471,646 @@ describe('Prune', function() {
 
   });
 
+  describe('cliPrune - confirmation', function() {
+
+    it('should print the plan and delete versions once confirmed', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub(), writeText });
+      plugin.isInteractive.returns(true);
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '2' }] });
+      sinon.stub(plugin, 'prompt').resolves('y');
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledOnce(plugin.prompt);
+        sinon.assert.calledWith(plugin.prompt, sinon.match('Delete 2 function version(s)'));
+        assert.deepEqual([
+          'Function           Versions  Delete  Keep',
+          '-----------------  --------  ------  --------------------',
+          'service-FunctionA  4         2       2 (count 1, alias 1)'
+        ], writeText.args.map(args => args[0]));
+
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', { FunctionName: 'service-FunctionA', Qualifier: '3' });
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', { FunctionName: 'service-FunctionA', Qualifier: '1' });
+      });
+    });
+
+    it('should not delete versions if the prompt is declined', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub(), writeText });
+      plugin.isInteractive.returns(true);
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '2' }] });
+      sinon.stub(plugin, 'prompt').resolves('n');
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledOnce(plugin.prompt);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+      });
+    });
+
+    it('should skip the prompt with --yes', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, yes: true }, { log: sinon.stub(), writeText });
+      plugin.isInteractive.returns(true);
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '2' }] });
+      sinon.stub(plugin, 'prompt');
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.notCalled(plugin.prompt);
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+      });
+    });
+
+    it('should skip the prompt with --force', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, force: true }, { log: sinon.stub(), writeText });
+      plugin.isInteractive.returns(true);
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '2' }] });
+      sinon.stub(plugin, 'prompt');
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.notCalled(plugin.prompt);
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+      });
+    });
+
+    it('should not prompt during automatic pruning', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], { prune: { automatic: true, number: 1 } });
+      const plugin = new PrunePlugin(serverlessStub, {}, { log: sinon.stub() });
+      plugin.isInteractive.returns(true);
+      sinon.stub(plugin, 'prompt');
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.notCalled(plugin.prompt);
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+      });
+    });
+
+  });
+
+  describe('cliPrune - plan and apply', function() {
+
+    const planFile = path.join(os.tmpdir(), `prune-plan-${process.pid}.json`);
+
+    afterEach(function() {
+      if (fs.existsSync(planFile)) fs.unlinkSync(planFile);
+    });
+
+    function createVersions(versions) {
+      return versions.map(v => ({ Version: '' + v, CodeSha256: `sha-${v}`, LastModified: `2024-01-0${v}T00:00:00.000+0000` }));
+    }
+
+    it('should write the deletion candidates to the plan file without deleting them', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, plan: planFile }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .resolves({ Versions: createVersions([1, 2, 3]) });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [] });
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+
+        const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+        assert.equal('dev', plan.stage);
+        assert.equal('us-east-1', plan.region);
+        assert.deepEqual([{
+          name: 'service-FunctionA',
+          region: 'us-east-1',
+          versions: [
+            { Version: '1', CodeSha256: 'sha-1', LastModified: '2024-01-01T00:00:00.000+0000' },
+            { Version: '2', CodeSha256: 'sha-2', LastModified: '2024-01-02T00:00:00.000+0000' }
+          ]
+        }], plan.functions);
+        assert.deepEqual([], plan.layers);
+      });
+    });
+
+    it('should only delete planned versions which still match the plan', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { apply: planFile }, { log: sinon.stub() });
+
+      fs.writeFileSync(planFile, JSON.stringify({
+        stage: 'dev',
+        region: 'us-east-1',
+        functions: [{ name: 'service-FunctionA', region: 'us-east-1', versions: createVersions([1, 2, 3, 4, 5]) }]
+      }));
+
+      const deployed = createVersions([2, 3, 4, 5]);
+      deployed[1].CodeSha256 = 'sha-changed';
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .resolves({ Versions: deployed });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '4' }] });
+
+      return plugin.cliPrune().then(() => {
+        const deletes = plugin.provider.request.args.filter(args => args[1] === 'deleteFunction');
+        assert.deepEqual([{ FunctionName: 'service-FunctionA', Qualifier: '2' }, { FunctionName: 'service-FunctionA', Qualifier: '5' }], deletes.map(args => args[2]));
+        assert.deepEqual([
+          { version: '1', reason: 'it no longer exists' },
+          { version: '3', reason: 'its CodeSha256 changed' },
+          { version: '4', reason: 'it is aliased' }
+        ], plugin.report.functions[0].skipped);
+      });
+    });
+
+    it('should reject a plan created for another stage or region', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { apply: planFile }, { log: sinon.stub() });
+
+      fs.writeFileSync(planFile, JSON.stringify({ stage: 'prod', region: 'us-east-1', functions: [] }));
+
+      assert.throws(() => plugin.cliPrune(), /was created for stage prod in region us-east-1/);
+    });
+
+  });
+
+  describe('cliReport', function() {
+
+    it('should print version counts, code sizes and reclaimable storage', function() {
+      const serverlessStub = createMockServerlessWithLayers(['LayerA'], null);
+      serverlessStub.service.getAllFunctions = () => ['FunctionA'];
+      serverlessStub.service.getFunction = key => ({ name: `service-${key}` });
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub(), writeText });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 1024, LastModified: '2024-01-03T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 1024, LastModified: '2024-01-01T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 2048, LastModified: '2024-01-02T00:00:00.000+0000' },
+        { Version: '3', CodeSize: 1024, LastModified: '2024-01-03T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '1' }] });
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .resolves({ LayerVersions: [{ Version: 1, CreatedDate: '2024-02-01T00:00:00.000+0000' }] });
+      plugin.provider.request.withArgs('Lambda', 'getLayerVersion', sinon.match.any)
+        .resolves({ Content: { CodeSize: 512 } });
+      plugin.provider.request.withArgs('Lambda', 'getAccountSettings', sinon.match.any).resolves({
+        AccountLimit: { TotalCodeSize: 80530636800 },
+        AccountUsage: { TotalCodeSize: 8053063680 }
+      });
+
+      return plugin.cliReport().then(() => {
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        assert.deepEqual([
+          'Type      Name               Versions  Oldest          Newest          Code size  Reclaimable',
+          '--------  -----------------  --------  --------------  --------------  ---------  -----------',
+          'function  service-FunctionA  3         1 (2024-01-01)  3 (2024-01-03)  5.0 KB     2.0 KB',
+          'layer     layer-LayerA       1         1 (2024-02-01)  1 (2024-02-01)  512 B      0 B',
+          'Account code storage: 7.5 GB of 75.0 GB (10.0%)'
+        ], writeText.args.map(args => args[0]));
+      });
+    });
+
+    it('should write a JSON storage report without reclaimable storage if no number is configured', function() {
+      const serverlessStub = createMockServerlessWithLayers(['LayerA'], null);
+      serverlessStub.service.getAllFunctions = () => ['FunctionA'];
+      serverlessStub.service.getFunction = key => ({ name: `service-${key}` });
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { output: 'json' }, { log: sinon.stub(), writeText });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any).resolves({ Versions: [
+        { Version: '$LATEST', CodeSize: 1024, LastModified: '2024-01-03T00:00:00.000+0000' },
+        { Version: '1', CodeSize: 1024, LastModified: '2024-01-01T00:00:00.000+0000' },
+        { Version: '2', CodeSize: 2048, LastModified: '2024-01-02T00:00:00.000+0000' },
+        { Version: '3', CodeSize: 1024, LastModified: '2024-01-03T00:00:00.000+0000' }
+      ] });
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '1' }] });
+      plugin.provider.request.withArgs('Lambda', 'listLayerVersions', sinon.match.any)
+        .resolves({ LayerVersions: [{ Version: 1, CreatedDate: '2024-02-01T00:00:00.000+0000' }] });
+      plugin.provider.request.withArgs('Lambda', 'getLayerVersion', sinon.match.any)
+        .resolves({ Content: { CodeSize: 512 } });
+      plugin.provider.request.withArgs('Lambda', 'getAccountSettings', sinon.match.any).resolves({
+        AccountLimit: { TotalCodeSize: 80530636800 },
+        AccountUsage: { TotalCodeSize: 8053063680 }
+      });
+
+      return plugin.cliReport().then(() => {
+        const report = JSON.parse(writeText.firstCall.args[0]);
+
+        assert.deepEqual({
+          name: 'service-FunctionA',
+          versions: 3,
+          oldest: '1 (2024-01-01)',
+          newest: '3 (2024-01-03)',
+          codeSize: 5120,
+          reclaimable: null
+        }, report.functions[0]);
+        assert.equal(512, report.layers[0].codeSize);
+        assert.deepEqual({ totalCodeSize: 8053063680, codeSizeLimit: 80530636800 }, report.account);
+      });
+    });
+
+  });
+
+  describe('cliPrune - multiple targets', function() {
+
+    it('should prune every stage and region combination', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'service-dev-FunctionA' } });
+      serverlessStub.service.service = 'service';
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'dev,prod', regions: 'eu-west-1, us-east-1' }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+
+      const requestedRegions = [];
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.any).callsFake((service, action, params, { region }) => {
+        requestedRegions.push(`${params.FunctionName}@${region}`);
+        return Promise.resolve({});
+      });
+
+      return plugin.cliPrune().then(() => {
+        assert.deepEqual([
+          'service-dev-FunctionA@eu-west-1',
+          'service-dev-FunctionA@us-east-1',
+          'service-prod-FunctionA@eu-west-1',
+          'service-prod-FunctionA@us-east-1'
+        ], requestedRegions);
+        assert.equal(undefined, plugin.options.stage);
+        assert.equal(undefined, plugin.options.region);
+        assert(plugin.provider.request.args.every(args => args[3] && args[3].region));
+      });
+    });
+
+    it('should only replace the stage of the default function name', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'dev-tools-dev-FunctionA' } });
+      serverlessStub.service.service = 'dev-tools';
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'prod' }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'dev-tools-prod-FunctionA' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'prod-tools-prod-FunctionA' }));
+      });
+    });
+
+    it('should skip functions with custom names in other stages', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'custom-dev-handler' } });
+      serverlessStub.service.service = 'service';
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'dev,prod' }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'custom-dev-handler' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'custom-prod-handler' }));
+        sinon.assert.calledWith(plugin.log, 'Prune: Skipping function FunctionA in stage prod, its custom name cannot be resolved for other stages.');
+      });
+    });
+
+    it('should use stages from configuration with "all" and apply their settings', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], {
+        prune: {
+          number: 2,
+          stages: { staging: { number: 1 }, prod: {} }
+        }
+      }, { FunctionA: { name: 'service-dev-FunctionA' } });
+      serverlessStub.service.service = 'service';
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { dryRun: true, output: 'json', stages: 'all' }, { log: sinon.stub(), writeText });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+
+      return plugin.cliPrune().then(() => {
+        const report = JSON.parse(writeText.firstCall.args[0]);
+
+        assert.deepEqual(['staging', 'prod'], report.targets.map(t => t.stage));
+        assert.equal('service-staging-FunctionA', report.targets[0].functions[0].name);
+        assert.deepEqual(['2', '1'], report.targets[0].functions[0].candidates);
+        assert.equal('service-prod-FunctionA', report.targets[1].functions[0].name);
+        assert.deepEqual(['1'], report.targets[1].functions[0].candidates);
+      });
+    });
+
+    it('should skip other stages of a service with a custom stack name', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'service-dev-FunctionA' } });
+      serverlessStub.service.service = 'service';
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'dev,prod', output: 'json' }, { log: sinon.stub(), writeText });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+      plugin.serverless.service.provider = { stackName: 'custom-stack' };
+      plugin.provider.naming.getStackName = () => 'custom-stack';
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'CloudFormation', 'describeStacks', { StackName: 'custom-stack' });
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-dev-FunctionA' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-prod-FunctionA' }));
+        sinon.assert.calledWith(plugin.log, 'Prune: Skipping stage prod in region us-east-1, the custom stack name cannot be resolved for other stages.');
+        assert.equal('the custom stack name cannot be resolved for other stages', plugin.targetReports[1].skipped);
+      });
+    });
+
+    it('should skip a stage whose stack does not exist', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'service-dev-FunctionA' } });
+      serverlessStub.service.service = 'service';
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'dev,prod' }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .callsFake(() => createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .callsFake(() => createAliasResponse([]));
+      plugin.provider.request.withArgs('CloudFormation', 'describeStacks', sinon.match.any).callsFake((service, action, params) => {
+        return params.StackName === 'service-prod'
+          ? Promise.reject(new Error('Stack with id service-prod does not exist'))
+          : Promise.resolve({ Stacks: [] });
+      });
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-dev-FunctionA' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'listVersionsByFunction', sinon.match({ FunctionName: 'service-prod-FunctionA' }));
+        sinon.assert.calledWith(plugin.log, 'Prune: Skipping stage prod in region us-east-1, its stack service-prod does not exist.');
+      });
+    });
+
+    it('should fail if "all" is used without configured stages', function() {
+      const serverlessStub = createMockServerless(['FunctionA'], null, { FunctionA: { name: 'service-dev-FunctionA' } });
+      serverlessStub.service.service = 'service';
+      const plugin = new PrunePlugin(serverlessStub, { number: 2, stages: 'all' }, { log: sinon.stub() });
+
+      assert.throws(() => plugin.cliPrune(), /No stages configured under custom.prune.stages/);
+    });
+
+  });
+
+  describe('accountPrune', function() {
+
+    const prunedFunctions = plugin => plugin.pruneFunctions.firstCall.args[1].map(f => f.name);
+
+    it('should select functions by name glob and default to a dry-run', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, name: 'foo-dev-*' }, { log: sinon.stub() });
+      sinon.spy(plugin, 'pruneFunctions');
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+        .returns(createFunctionsResponse(['foo-dev-api', 'foo-dev-old', 'foo-prod-api', 'bar-dev-api']));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.accountPrune().then(() => {
+        assert.deepEqual(['foo-dev-api', 'foo-dev-old'], prunedFunctions(plugin));
+        assert.equal(true, plugin.options.dryRun);
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction');
+      });
+    });
+
+    it('should select functions by regular expression', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, name: '/-api$/' }, { log: sinon.stub() });
+      sinon.spy(plugin, 'pruneFunctions');
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+        .returns(createFunctionsResponse(['foo-dev-api', 'foo-dev-old', 'foo-prod-api', 'bar-dev-api']));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.accountPrune().then(() => {
+        assert.deepEqual(['foo-dev-api', 'foo-prod-api', 'bar-dev-api'], prunedFunctions(plugin));
+      });
+    });
+
+    it('should select functions by tags and delete versions with --execute', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, tag: 'STAGE=dev,SERVICE=foo', execute: true }, { log: sinon.stub() });
+      sinon.spy(plugin, 'pruneFunctions');
+
+      plugin.provider.request.withArgs('Lambda', 'listFunctions', sinon.match.any)
+        .returns(createFunctionsResponse(['foo-dev-api', 'foo-dev-old', 'foo-prod-api', 'bar-dev-api']));
+      plugin.provider.request.withArgs('Lambda', 'listTags', sinon.match.any)
+        .resolves({ Tags: {} });
+      plugin.provider.request.withArgs('Lambda', 'listTags', sinon.match.has('Resource', sinon.match(/foo-dev-old$/)))
+        .resolves({ Tags: { STAGE: 'dev', SERVICE: 'foo' } });
+      plugin.provider.request.withArgs('Lambda', 'listTags', sinon.match.has('Resource', sinon.match(/bar-dev-api$/)))
+        .resolves({ Tags: { STAGE: 'dev', SERVICE: 'bar' } });
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+
+      return plugin.accountPrune().then(() => {
+        assert.deepEqual(['foo-dev-old'], prunedFunctions(plugin));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'foo-dev-old', Qualifier: '1' }));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'bar-dev-api'));
+        sinon.assert.neverCalledWith(plugin.provider.request, 'S3');
+      });
+    });
+
+    it('should require a name or tag filter', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log: sinon.stub() });
+
+      assert.throws(() => plugin.accountPrune(), /At least one of --name or --tag is required/);
+    });
+
+  });
+
+  describe('cliPrune - continueOnError', function() {
+
+    it('should stop at the first failure by default', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
+      const log = sinon.stub();
+      log.warning = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.has('FunctionName', 'service-FunctionC'))
+        .rejects({ providerError: { statusCode: 403, message: 'Not authorized to list versions' }});
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '1' }))
+        .rejects({ providerError: { statusCode: 500, message: 'Service unavailable' }});
+
+      return plugin.cliPrune()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Not authorized to list versions', e.providerError.message);
+          sinon.assert.neverCalledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.any);
+        });
+    });
+
+    it('should prune all functions and summarize failures', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC']);
+      const log = sinon.stub();
+      log.warning = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, continueOnError: true }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.has('FunctionName', 'service-FunctionC'))
+        .rejects({ providerError: { statusCode: 403, message: 'Not authorized to list versions' }});
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '1' }))
+        .rejects({ providerError: { statusCode: 500, message: 'Service unavailable' }});
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '2' }));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionB', Qualifier: '1' }));
+        sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionB', Qualifier: '2' }));
+
+        sinon.assert.calledWith(log.warning, 'Pruning completed with 2 failure(s):');
+        sinon.assert.calledWith(log.warning, 'Type      Name               Version  Error');
+        sinon.assert.calledWith(log.warning, 'function  service-FunctionA  1        Service unavailable');
+        sinon.assert.calledWith(log.warning, 'function  service-FunctionC  -        Not authorized to list versions');
+      });
+    });
+
+    it('should fail after pruning if failOnError is configured', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC'], { prune: { continueOnError: true, failOnError: true } });
+      const log = sinon.stub();
+      log.warning = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1 }, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.has('FunctionName', 'service-FunctionC'))
+        .rejects({ providerError: { statusCode: 403, message: 'Not authorized to list versions' }});
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '1' }))
+        .rejects({ providerError: { statusCode: 500, message: 'Service unavailable' }});
+
+      return plugin.cliPrune()
+        .then(() => assert.fail('should fail'), e => {
+          assert.equal('Pruning failed for 2 version(s), functions or layers.', e.message);
+          sinon.assert.calledWith(plugin.provider.request, 'Lambda', 'deleteFunction', sinon.match.has('FunctionName', 'service-FunctionB'));
+        });
+    });
+
+    it('should downgrade automatic pruning failures to warnings', function() {
+      const serverlessStub = createMockServerless(['FunctionA', 'FunctionB', 'FunctionC'], { prune: { automatic: true, number: 1, continueOnError: true } });
+      const log = sinon.stub();
+      log.warning = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, {}, { log });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.has('FunctionName', 'service-FunctionC'))
+        .rejects({ providerError: { statusCode: 403, message: 'Not authorized to list versions' }});
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match({ FunctionName: 'service-FunctionA', Qualifier: '1' }))
+        .rejects({ providerError: { statusCode: 500, message: 'Service unavailable' }});
+
+      return plugin.postDeploy().then(() => {
+        sinon.assert.calledWith(log.warning, 'Pruning completed with 2 failure(s):');
+      });
+    });
+
+  });
+
+  describe('cliPrune - report', function() {
+
+    it('should write a JSON report of a dry-run', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const writeText = sinon.stub();
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, dryRun: true, output: 'json' }, { log: sinon.stub(), writeText });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3, 4]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .resolves({ Aliases: [{ Name: 'live', FunctionVersion: '2' }] });
+
+      return plugin.cliPrune().then(() => {
+        sinon.assert.calledOnce(writeText);
+        const report = JSON.parse(writeText.firstCall.args[0]);
+
+        assert.equal(true, report.dryRun);
+        assert.equal('dev', report.stage);
+        assert.deepEqual([{
+          name: 'service-FunctionA',
+          versions: ['4', '3', '2', '1'],
+          kept: [
+            { version: '4', reasons: ['count'] },
+            { version: '2', reasons: ['alias live'] }
+          ],
+          candidates: ['3', '1'],
+          deleted: [],
+          skipped: [],
+          errors: []
+        }], report.functions);
+        assert.deepEqual([], report.layers);
+      });
+    });
+
+    it('should write deletions and errors to the report file', function() {
+      const serverlessStub = createMockServerless(['FunctionA']);
+      const outputFile = path.join(os.tmpdir(), `prune-report-${Date.now()}.json`);
+      const plugin = new PrunePlugin(serverlessStub, { number: 1, outputFile }, { log: sinon.stub() });
+
+      plugin.provider.request.withArgs('Lambda', 'listVersionsByFunction', sinon.match.any)
+        .returns(createVersionsResponse([1, 2, 3]));
+      plugin.provider.request.withArgs('Lambda', 'listAliases', sinon.match.any)
+        .returns(createAliasResponse([]));
+      plugin.provider.request.withArgs('Lambda', 'deleteFunction', sinon.match.has('Qualifier', '1'))
+        .rejects({ providerError: { statusCode: 403, message: 'Access denied' }});
+
+      return plugin.cliPrune()
+        .then(() => assert.fail('should fail'), () => {
+          const report = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+          fs.unlinkSync(outputFile);
+
+          assert.equal(false, report.dryRun);
+          assert.deepEqual(['2'], report.functions[0].deleted);
+          assert.deepEqual([{ version: '1', message: 'Access denied' }], report.functions[0].errors);
+        });
+    });
+
+    it('should reject unsupported output formats', function() {
+      const serverlessStub = createMockServerless([]);
+      const plugin = new PrunePlugin(serverlessStub, { output: 'xml' });
+
+      assert.throws(() => plugin.cliPrune(), /Unsupported output format "xml"/);
+    });
+
+  });
+
   describe('logInfo', function() {
 
     it('should call the Serverless 3.x logging API if available', function() {